@@ -0,0 +1,145 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Runs the Altair 8800 for Node.js:
+//
+//   node altair.js [--rom file[@addr]] [--load file[@addr]]
+//                  [--disk n:image]... [--sense xx] [--start addr]
+//
+// The ROM is mapped at FF00 by default (the disk boot loader) and the
+// run starts there, the loaded file (e.g. Altair BASIC) goes to 0000 and
+// starts there unless --start is given. The addresses are hexadecimal.
+// The port A of the 88-2SIO is the terminal (Ctrl-\ quits) or the piped
+// standard input, the line feeds of which are sent as CR. The emulator
+// exits at HLT or at the end of the piped input, the written disk images
+// are saved then.
+//
+//   node altair.js --load 4kbas40.bin
+//   node altair.js --rom dbl.bin --disk 0:cpm48k.dsk
+
+const fs = require("fs");
+
+// The exports of the modules are made global as in monitor.js.
+[ "./i8080.js", "./i8080_memory.js", "./i8080_devices.js",
+  "./i8080_altair.js" ].forEach(function(name) {
+  Object.assign(global, require(name));
+});
+
+// "file@addr" as { name, addr }.
+function file_argument(text, addr) {
+  const at = text.lastIndexOf("@");
+  if (at < 0) return { name: text, addr: addr };
+  return { name: text.substring(0, at), addr: parseInt(text.substring(at + 1), 16) };
+}
+
+function main(argv) {
+  var rom = null, load = null, disks = {}, images = {}, sense = 0, start = null;
+  for (var i = 0; i < argv.length; ++i) {
+    if (argv[i] == "--rom" && i + 1 < argv.length) rom = file_argument(argv[++i], 0xFF00);
+    else if (argv[i] == "--load" && i + 1 < argv.length) load = file_argument(argv[++i], 0);
+    else if (argv[i] == "--disk" && /^\d+:/.test(argv[i + 1] || "")) {
+      const disk = argv[++i];
+      const n = parseInt(disk, 10);
+      images[n] = disk.substring(disk.indexOf(":") + 1);
+      disks[n] = new Uint8Array(fs.readFileSync(images[n]));
+    }
+    else if (argv[i] == "--sense" && i + 1 < argv.length) sense = parseInt(argv[++i], 16);
+    else if (argv[i] == "--start" && i + 1 < argv.length) start = parseInt(argv[++i], 16);
+    else {
+      console.log("Unknown argument: " + argv[i]);
+      rom = load = null;
+      break;
+    }
+  }
+  if (rom === null && load === null) {
+    console.log("Usage: node altair.js [--rom file[@addr]] [--load file[@addr]]\n" +
+                "                      [--disk n:image]... [--sense xx] [--start addr]");
+    return 2;
+  }
+
+  var output = [];
+  var altair;
+  try {
+    altair = new Altair({
+      rom: rom && new Uint8Array(fs.readFileSync(rom.name)),
+      rom_start: rom && rom.addr,
+      disks: disks,
+      sense: sense,
+      output: function(w8, port) { if (port == 0) output.push(w8 & 0x7f); },
+      save: function(n, image) { fs.writeFileSync(images[n], Buffer.from(image)); }
+    });
+    if (load) altair.load(new Uint8Array(fs.readFileSync(load.name)), load.addr);
+  } catch (e) {
+    console.log(e);
+    return 1;
+  }
+  altair.examine(start !== null ? start : load ? load.addr : rom.addr);
+
+  const stdin = process.stdin;
+  const raw = stdin.isTTY;
+  var waiting = false, ended = false;
+
+  const finish = function() {
+    altair.flush();
+    if (raw) stdin.setRawMode(false);
+    stdin.pause();
+  };
+  const step = function() {
+    const r = altair.run(ALTAIR_CLOCK / 10);
+    if (output.length) {
+      process.stdout.write(Buffer.from(output));
+      output = [];
+    }
+    if (r.reason == "halt") finish();
+    else if (r.reason == "input") {
+      if (ended) finish();
+      else {
+        // The program may poll the port while running, so it is resumed
+        // without the input too.
+        waiting = true;
+        setTimeout(resume, 20);
+      }
+    }
+    else setImmediate(step);
+  };
+  const resume = function() {
+    if (!waiting) return;
+    waiting = false;
+    step();
+  };
+
+  if (raw) stdin.setRawMode(true);
+  stdin.on("data", function(data) {
+    var text = data.toString("latin1");
+    if (raw && text.indexOf("\x1c") >= 0) {
+      finish();
+      return;
+    }
+    if (!raw) text = text.replace(/\r?\n/g, "\r");
+    altair.type(text);
+    resume();
+  });
+  stdin.on("end", function() {
+    ended = true;
+    if (waiting) finish();
+  });
+  step();
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,102 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Assembler for Node.js:
+//
+//   node asm.js [--8085] [--undocumented] [--zilog] [--fill xx] [--size n]
+//               source [output]
+//   node asm.js [options] [--ignore-padding] --compare file source
+//
+// Writes the image from the lowest to the highest address, i.e. the .COM
+// file for ORG 100H, to output (the source name with .COM by default).
+// --size pads the image with the fill byte to n bytes, as the linkers pad
+// the .COM files. --compare checks that the file has the same bytes and
+// length as the image instead. --ignore-padding skips the bytes after the
+// code, for the files padded with whatever was in the linker's memory.
+
+const fs = require("fs");
+const path = require("path");
+
+// The exports of the modules are made global as in monitor.js.
+[ "./i8080_disasm.js", "./i8080_asm.js" ].forEach(function(name) {
+  Object.assign(global, require(name));
+});
+
+function main(argv) {
+  var options = {}, compare = null, size = 0, padding = true, names = [];
+  for (var i = 0; i < argv.length; ++i) {
+    if (argv[i] == "--8085") options.cpu = "8085";
+    else if (argv[i] == "--undocumented") options.undocumented = true;
+    else if (argv[i] == "--zilog") options.syntax = "zilog";
+    else if (argv[i] == "--fill") options.fill = parseInt(argv[++i], 16);
+    else if (argv[i] == "--size") size = parseInt(argv[++i], 10);
+    else if (argv[i] == "--compare") compare = argv[++i];
+    else if (argv[i] == "--ignore-padding") padding = false;
+    else names.push(argv[i]);
+  }
+  if (names.length < 1 || names.length > 2) {
+    console.log("Usage: node asm.js [--8085] [--undocumented] [--zilog] " +
+                "[--fill xx] [--size n] [--ignore-padding] " +
+                "[--compare file] source [output]");
+    return 2;
+  }
+
+  var r;
+  try {
+    r = I8080_asm(fs.readFileSync(names[0], "latin1"), options);
+  } catch (e) {
+    console.log(names[0] + ": " + e);
+    return 1;
+  }
+  if (r.image.length > size && size > 0) {
+    console.log(names[0] + ": the image is longer than " + size + " bytes");
+    return 1;
+  }
+  const image = Buffer.alloc(Math.max(size, r.image.length),
+                             options.fill || 0);
+  image.set(r.image);
+  const range = r.image.length ?
+    "%04X-%04X".format(r.start, r.end) : "empty";
+
+  if (compare !== null) {
+    const data = fs.readFileSync(compare);
+    const end = padding ? image.length : r.image.length;
+    for (var i = 0; i < end; ++i) {
+      if (i >= data.length || data[i] != image[i]) {
+        console.log(compare + ": differs at %04X".format(r.start + i));
+        return 1;
+      }
+    }
+    if (data.length != image.length) {
+      console.log(compare + ": " + (data.length - image.length) +
+                  " bytes longer than the image");
+      return 1;
+    }
+    console.log(compare + ": " + range + " identical, " + image.length +
+                " bytes" + (padding ? "" : ", the padding is not compared"));
+    return 0;
+  }
+
+  const output = names[1] || names[0].substring(
+    0, names[0].length - path.extname(names[0]).length) + ".COM";
+  fs.writeFileSync(output, image);
+  console.log(output + ": " + range);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
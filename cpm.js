@@ -0,0 +1,180 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Runs a CP/M program for Node.js:
+//
+//   node cpm.js [--8085] [--drive X:dir]... command [arguments]
+//   node cpm.js [--8085] --disk X:image... [command]
+//
+// The drive A is the current directory unless given. The program file
+// is found on A:, NAME.COM for NAME. The console is the terminal (Ctrl-\
+// quits) or the piped standard input. The emulator exits at the warm
+// boot of the program.
+//
+// With the disk images the system is booted from the disk A, the command
+// is typed at the first prompt. The written images are saved at the warm
+// boot and at the exit, which is the end of the piped input.
+
+const fs = require("fs");
+const path = require("path");
+
+// The exports of the modules are made global as in monitor.js.
+[ "./i8080.js", "./i8085.js", "./i8080_memory.js", "./i8080_disasm.js",
+  "./i8080_cpm.js", "./i8080_cpm_bios.js" ].forEach(function(name) {
+  Object.assign(global, require(name));
+});
+
+// A host directory as a CP/M drive. The names are matched ignoring the
+// case, the new files get the upper case names.
+/** @constructor */
+function HostDirectory(dir) {
+  this.dir = dir;
+}
+
+HostDirectory.prototype.list = function() {
+  const dir = this.dir;
+  return fs.readdirSync(dir).filter(function(name) {
+    return fs.statSync(path.join(dir, name)).isFile();
+  });
+}
+
+HostDirectory.prototype.path = function(name) {
+  const names = this.list();
+  for (var i = 0; i < names.length; ++i)
+    if (names[i].toUpperCase() == name.toUpperCase()) return path.join(this.dir, names[i]);
+  return path.join(this.dir, name.toUpperCase());
+}
+
+HostDirectory.prototype.read = function(name) {
+  const filename = this.path(name);
+  return fs.existsSync(filename) ? new Uint8Array(fs.readFileSync(filename)) : null;
+}
+
+HostDirectory.prototype.write = function(name, data) {
+  fs.writeFileSync(this.path(name), Buffer.from(data));
+}
+
+HostDirectory.prototype.remove = function(name) {
+  const filename = this.path(name);
+  if (fs.existsSync(filename)) fs.unlinkSync(filename);
+}
+
+HostDirectory.prototype.rename = function(from, to) {
+  fs.renameSync(this.path(from), path.join(this.dir, to.toUpperCase()));
+}
+
+function main(argv) {
+  var cpu_type = "8080", drives = {}, disks = {}, images = {}, words = [];
+  for (var i = 0; i < argv.length; ++i) {
+    if (words.length) words.push(argv[i]);
+    else if (argv[i] == "--8085") cpu_type = "8085";
+    else if (argv[i] == "--drive" && /^[A-P]:/i.test(argv[i + 1] || "")) {
+      const drive = argv[++i];
+      drives[drive[0].toUpperCase()] = new HostDirectory(drive.substring(2));
+    }
+    else if (argv[i] == "--disk" && /^[A-P]:/i.test(argv[i + 1] || "")) {
+      const disk = argv[++i];
+      const letter = disk[0].toUpperCase();
+      images[letter] = disk.substring(2);
+      disks[letter] = new Uint8Array(fs.readFileSync(images[letter]));
+    }
+    else words.push(argv[i]);
+  }
+  const boot = Object.keys(disks).length > 0;
+  if (!words.length && !boot) {
+    console.log("Usage: node cpm.js [--8085] [--drive X:dir]... command [arguments]\n" +
+                "       node cpm.js [--8085] --disk X:image... [command]");
+    return 2;
+  }
+  if (!drives.A) drives.A = new HostDirectory(".");
+
+  var output = [];
+  const memory = new Memory();
+  const io = {
+    input: function(port) { return 0xff; },
+    output: function(port, w8) {},
+    interrupt: function(iff) {}
+  };
+  const cpu = cpu_type == "8085" ? new I8085(memory, io) : new I8080(memory, io);
+  const options = {
+    drives: drives,
+    disks: disks,
+    output: function(c) { output.push(c); },
+    save: function(drive, image) { fs.writeFileSync(images[drive], Buffer.from(image)); }
+  };
+  var cpm;
+  try {
+    if (boot) {
+      cpm = new CPM_BIOS(cpu, options);
+      cpm.boot();
+      if (words.length) cpm.type(words.join(" ") + "\r");
+    } else {
+      cpm = new CPM(cpu, options);
+      cpm.exec(words.join(" "));
+    }
+  } catch (e) {
+    console.log(e);
+    return 1;
+  }
+
+  const stdin = process.stdin;
+  const raw = stdin.isTTY;
+  var waiting = false, ended = false;
+
+  const finish = function() {
+    cpm.flush();
+    if (raw) stdin.setRawMode(false);
+    stdin.pause();
+  };
+  const step = function() {
+    const r = cpm.run(2000000);
+    if (output.length) {
+      process.stdout.write(Buffer.from(output));
+      output = [];
+    }
+    if (r.reason == "exit") finish();
+    else if (r.reason == "input") {
+      if (ended) finish();
+      else waiting = true;
+    }
+    else setImmediate(step);
+  };
+
+  if (raw) stdin.setRawMode(true);
+  stdin.on("data", function(data) {
+    var text = data.toString("latin1");
+    if (raw && text.indexOf("\x1c") >= 0) {
+      finish();
+      return;
+    }
+    if (!raw) text = text.replace(/\r?\n/g, "\r");
+    cpm.type(text);
+    if (waiting) {
+      waiting = false;
+      step();
+    }
+  });
+  stdin.on("end", function() {
+    ended = true;
+    if (waiting) finish();
+  });
+  step();
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -37,6 +37,8 @@ function I8080(memory, io) {
   this.pc = 0;
   this.iff = false;
   this.iff_pending = 0;
+  this.intr = null;
+  this.halted = false;
 
   this.sf = 0;
   this.pf = 0;
@@ -51,10 +53,25 @@ function I8080(memory, io) {
   this.memory = memory;
   this.io = io;
 
+  // Machine cycles of the last instruction, filled when the timing is
+  // enabled: the number of clock cycles of every machine cycle and its
+  // type (see bus_cycle).
   this.tstates = [];
+  this.mcycles = [];
+  this.timing = false;
+  this.bus_hook = null;
+  this.wait_states = null;
+  this.timing_saved = null;
+  this.wait_cycles = 0;
+  this.elapsed = 0;
 
   this.last_opcode = 0;
 
+  // Clock cycles executed by run() beyond its budget, they are charged
+  // to the next call.
+  this.overshoot = 0;
+  this.stop_requested = false;
+
   this.initHandlers();
 
   const F_CARRY  = 0x01;
@@ -96,6 +113,14 @@ I8080.prototype.memory_write_byte = function(addr, w8, stackrq) {
   this.memory.write(addr & 0xffff, w8 & 0xff, stackrq);
 }
 
+I8080.prototype.io_input = function(port) {
+  return this.io.input(port) & 0xff;
+}
+
+I8080.prototype.io_output = function(port, w8) {
+  this.io.output(port, w8 & 0xff);
+}
+
 I8080.prototype.memory_read_word = function(addr, stackrq) {
   return this.memory_read_byte(addr, stackrq) | (this.memory_read_byte(addr + 1, stackrq) << 8); 
 }
@@ -312,9 +337,11 @@ I8080.prototype.pop = function() {
   return v;
 }
 
+// The high byte is written first, as the CPU does.
 I8080.prototype.push = function(v) {
+  this.memory_write_byte(this.sp - 1, v >> 8, true);
+  this.memory_write_byte(this.sp - 2, v & 0xff, true);
   this.sp = (this.sp - 2) & 0xffff;
-  this.memory_write_word(this.sp, v, true);
 }
 
 I8080.prototype.rst = function(addr) {
@@ -331,6 +358,12 @@ const T4333 = 16;
 const T533 = 16;
 const T53333 = 24;
 const T43335 = 24;
+const T53 = 12;     // 5, 3 - the 8085 not taken conditional call
+
+// The I8085 handlers take the constants from here, as i8085.js is also
+// loaded as a module.
+Object.assign(I8080, { T4: T4, T43: T43, T5: T5, T433: T433, T43333: T43333,
+  T4333: T4333, T533: T533, T53333: T53333, T43335: T43335, T53: T53 });
 
 I8080.prototype.initHandlers = function() {
     var handler = [];
@@ -643,15 +676,11 @@ I8080.prototype.initHandlers = function() {
     // mov group moved out of the switch
 
     handler[0x76] =       /* hlt */
-      // it should be that:
-      // tstates = [4, 3];
-      // that.vcycles = T43;
-      // that.cpu_cycles = 7;
         (function(that) {
           return function() {
-              that.vcycles = T4;
-              that.cpu_cycles = 4;
-              that.pc = (that.pc - 1) & 0xffff;
+              that.vcycles = T43;
+              that.cpu_cycles = 7;
+              that.halted = true;
           };
         })(this);
 
@@ -1026,7 +1055,7 @@ I8080.prototype.initHandlers = function() {
           return function() {
               that.vcycles = T433;
               that.cpu_cycles = 10;
-              that.io.output(that.next_pc_byte(), that.a());
+              that.io_output(that.next_pc_byte(), that.a());
           };
         })(this);
 
@@ -1044,7 +1073,7 @@ I8080.prototype.initHandlers = function() {
           return function() {
               that.vcycles = T433;
               that.cpu_cycles = 10;
-              that.set_a(that.io.input(that.next_pc_byte()));
+              that.set_a(that.io_input(that.next_pc_byte()));
           };
         })(this);
 
@@ -1063,7 +1092,8 @@ I8080.prototype.initHandlers = function() {
               that.vcycles = T43335;
               that.cpu_cycles = 18;
               const w16 = that.memory_read_word(that.sp, true);
-              that.memory_write_word(that.sp, that.hl(), true);
+              that.memory_write_byte(that.sp + 1, that.h(), true);
+              that.memory_write_byte(that.sp, that.l(), true);
               that.set_l(w16 & 0xff);
               that.set_h(w16 >> 8);
           };
@@ -1256,10 +1286,384 @@ I8080.prototype.execute = function(opcode) {
 }
 
 I8080.prototype.instruction = function() {
+  if (this.iff && this.intr !== null) return this.acknowledge();
+  if (this.halted) {
+    // No bus activity in the halt state, only the clock is running.
+    this.vcycles = T4;
+    this.cpu_cycles = 4;
+    return this.cpu_cycles;
+  }
   return this.execute(this.next_pc_byte());
 }
 
+I8080.prototype.isHalted = function() {
+  return this.halted;
+}
+
+// Executes instructions until max_cycles clock cycles are spent or a stop
+// condition occurs. Options:
+//   breakpoints - addresses to stop at before executing the instruction,
+//                 an array or an object keyed by address. The breakpoint
+//                 at the current pc is checked too.
+//   resume      - execute the instruction at the current pc without
+//                 checking the breakpoint, to continue from a breakpoint.
+//   halt        - stop when the CPU enters the halt state.
+//   stop        - function(cpu) called after every instruction, the run
+//                 stops when it returns true.
+// The run also stops when request_stop() is called, e.g. from an IO
+// handler or between the runs, then the request is cleared. Returns
+// { reason, cycles } where the reason is "cycles", "breakpoint", "halt",
+// "stop" or "request", and cycles is the number of clock cycles executed.
+I8080.prototype.run = function(max_cycles, options) {
+  options = options || {};
+  var breakpoints = options.breakpoints || null;
+  if (breakpoints instanceof Array) {
+    breakpoints = {};
+    for (var i = 0; i < options.breakpoints.length; ++i)
+      breakpoints[options.breakpoints[i] & 0xffff] = true;
+  }
+  const halt = !!options.halt;
+  const stop = options.stop || null;
+  var resume = !!options.resume;
+
+  if (this.stop_requested) {
+    this.stop_requested = false;
+    return { reason: "request", cycles: 0 };
+  }
+
+  const budget = max_cycles - this.overshoot;
+  var cycles = 0;
+  var reason = "cycles";
+  this.overshoot = 0;
+
+  while (cycles < budget) {
+    if (breakpoints !== null && !resume && breakpoints[this.pc]) {
+      reason = "breakpoint";
+      break;
+    }
+    resume = false;
+    cycles += this.instruction();
+    if (this.stop_requested) {
+      reason = "request";
+      break;
+    }
+    if (halt && this.halted) {
+      reason = "halt";
+      break;
+    }
+    if (stop !== null && stop(this)) {
+      reason = "stop";
+      break;
+    }
+  }
+  if (cycles > budget) this.overshoot = cycles - budget;
+  if (reason == "request") this.stop_requested = false;
+  return { reason: reason, cycles: cycles };
+}
+
+// Makes run() return after the current instruction.
+I8080.prototype.request_stop = function() {
+  this.stop_requested = true;
+}
+
+// The tools (Debugger, History, Profiler, ...) wrap the methods of the
+// instance. save_methods() keeps the own properties which are replaced,
+// restore_methods() puts them back at the detach, so the hooks of the
+// other tools attached to the same instance stay in place.
+I8080.prototype.save_methods = function(names) {
+  const saved = {};
+  for (var i = 0; i < names.length; ++i)
+    saved[names[i]] =
+      this.hasOwnProperty(names[i]) ? this[names[i]] : undefined;
+  return saved;
+}
+
+I8080.prototype.restore_methods = function(saved) {
+  for (var name in saved) {
+    if (saved[name] === undefined) delete this[name];
+    else this[name] = saved[name];
+  }
+}
+
+// Sets the INTR line. The vector is what the interrupting device puts
+// on the data bus during the interrupt acknowledge: a single opcode
+// (normally RST n), an array of bytes (e.g. a 3-byte CALL supplied by
+// an 8228), or a function(n) returning the n-th byte of the sequence.
+// The request is held until the CPU accepts it, irq(null) drops it.
+I8080.prototype.irq = function(vector) {
+  this.intr = vector === undefined ? null : vector;
+}
+
+// Returns function(n) giving the n-th byte of the interrupt vector.
+I8080.prototype.vector_fetch = function(vector) {
+  return typeof vector === "function" ? vector :
+    typeof vector === "number" ? function() { return vector; } :
+    function(n) { return vector[n]; };
+}
+
+// What the next instruction() does: "interrupt" - accepts the interrupt
+// and executes the vector, "halt" - stays in the halt state, "fetch" -
+// executes the instruction at pc. The I8085 adds "restart".
+I8080.prototype.next_action = function() {
+  if (this.iff && this.intr !== null) return "interrupt";
+  return this.halted ? "halt" : "fetch";
+}
+
+// Interrupt acknowledge. The opcode and its operands are fetched from
+// the vector instead of the memory, and the program counter is not
+// advanced while they are read.
+I8080.prototype.acknowledge = function() {
+  const fetch = this.vector_fetch(this.intr);
+
+  this.intr = null;
+  this.iff = false;
+  this.io.interrupt(false);
+
+  // The program counter already points past HLT.
+  this.halted = false;
+
+  const opcode = fetch(0) & 0xff;
+  if (this.timing) {
+    this.begin_cycles();
+    this.bus_cycle("INTA", this.pc, opcode);
+  }
+
+  // The operands are fetched from the vector, the memory fetch is put
+  // back even if the device throws.
+  var n = 1;
+  const that = this;
+  const saved = this.save_methods(["next_pc_byte"]);
+  this.next_pc_byte = function() {
+    const w8 = fetch(n++) & 0xff;
+    if (that.timing) that.bus_cycle("INTA", that.pc, w8);
+    return w8;
+  };
+  try {
+    return this.execute(opcode);
+  } finally {
+    this.restore_methods(saved);
+  }
+}
+
+// Machine cycle timing.
+//
+// With the timing enabled, every machine cycle of an instruction is
+// recorded in tstates/mcycles and reported to the bus hook, if any, as
+// hook(type, addr, tstates, w8). The types are:
+//   M1   - opcode fetch, 4 or 5 clock cycles,
+//   MR   - memory read,
+//   MW   - memory write,
+//   SR   - stack read,
+//   SW   - stack write,
+//   IOR  - input, the address is the port number,
+//   IOW  - output,
+//   INTA - interrupt acknowledge, the first one replaces M1,
+//   IDLE - internal cycle without bus activity (DAD),
+//   HALT - halt acknowledge and the halt state.
+// The clock cycles of the machine cycles sum up to the cycles returned by
+// execute(). The timing is tracked by the timed versions of instruction(),
+// execute() and the bus access methods, which are installed in the
+// instance while the hook or the policy is set, so that the untimed core
+// runs at full speed.
+//
+// A wait state policy, like the READY input, can stretch the machine
+// cycles: policy(type, addr, tstates, elapsed) returns the number of
+// clock cycles to add to the machine cycle, elapsed is the number of
+// clock cycles of the instruction before it.
+
+// Clock cycles of the opcode fetch.
+I8080.prototype.m1_tstates = (function() {
+  const t = [];
+  for (var opcode = 0; opcode < 0x100; ++opcode) {
+    var m1 = 4;
+    if ((opcode & 0xC7) == 0x03 ||                           /* inx, dcx */
+        ((opcode & 0xC6) == 0x04 && (opcode & 0x38) != 0x30) || /* inr, dcr */
+        ((opcode & 0xC0) == 0x40 && (opcode & 0x07) != 6 &&  /* mov r, r */
+         (opcode & 0x38) != 0x30) ||
+        (opcode & 0xC7) == 0xC0 ||                           /* rcc */
+        (opcode & 0xCF) == 0xC5 ||                           /* push */
+        (opcode & 0xC7) == 0xC4 ||                           /* ccc */
+        (opcode & 0xC7) == 0xC7 ||                           /* rst */
+        (opcode & 0xCF) == 0xCD ||                           /* call */
+        opcode == 0xE9 || opcode == 0xF9)                    /* pchl, sphl */
+      m1 = 5;
+    t[opcode] = m1;
+  }
+  return t;
+})();
+
+I8080.prototype.xthl_tstates = 5;
+
+// Turns the timing on and sets the hook called on every machine cycle.
+// A null hook turns the timing off.
+I8080.prototype.set_bus_hook = function(hook) {
+  this.bus_hook = hook || null;
+  this.update_timing();
+}
+
+// Sets the wait state policy, null removes it. The wait states are
+// included in the cycles returned by execute().
+I8080.prototype.set_wait_states = function(policy) {
+  this.wait_states = policy || null;
+  this.update_timing();
+}
+
+// Installs the timed methods on top of the current ones when the timing
+// is turned on, and puts the saved ones back when it is turned off.
+I8080.prototype.update_timing = function() {
+  const timing = this.bus_hook !== null || this.wait_states !== null;
+  if (timing == this.timing) return;
+  this.timing = timing;
+  if (!timing) {
+    this.restore_methods(this.timing_saved);
+    this.timing_saved = null;
+    return;
+  }
+
+  this.timing_saved = this.save_methods([
+    "instruction", "execute", "memory_read_byte", "memory_write_byte",
+    "io_input", "io_output"
+  ]);
+  const instruction = this.instruction;
+  const execute = this.execute;
+  const memory_read_byte = this.memory_read_byte;
+  const memory_write_byte = this.memory_write_byte;
+  const io_input = this.io_input;
+  const io_output = this.io_output;
+
+  this.instruction = function() {
+    this.begin_cycles();
+    const cycles = instruction.call(this);
+    // No bus activity in the halt state, only the clock is running.
+    if (this.tstates.length == 0) {
+      this.machine_cycle("HALT", this.pc, cycles, 0);
+      this.cpu_cycles += this.wait_cycles;
+    }
+    return this.cpu_cycles;
+  };
+  this.execute = function(opcode) {
+    execute.call(this, opcode);
+    this.end_cycles();
+    return this.cpu_cycles;
+  };
+  this.memory_read_byte = function(addr, stackrq) {
+    const w8 = memory_read_byte.call(this, addr, stackrq);
+    this.bus_cycle(stackrq ? "SR" : "MR", addr & 0xffff, w8);
+    return w8;
+  };
+  this.memory_write_byte = function(addr, w8, stackrq) {
+    memory_write_byte.call(this, addr, w8, stackrq);
+    this.bus_cycle(stackrq ? "SW" : "MW", addr & 0xffff, w8 & 0xff);
+  };
+  this.io_input = function(port) {
+    const w8 = io_input.call(this, port);
+    this.bus_cycle("IOR", port, w8);
+    return w8;
+  };
+  this.io_output = function(port, w8) {
+    io_output.call(this, port, w8);
+    this.bus_cycle("IOW", port, w8 & 0xff);
+  };
+}
+
+I8080.prototype.begin_cycles = function() {
+  this.tstates.length = 0;
+  this.mcycles.length = 0;
+  this.wait_cycles = 0;
+  this.elapsed = 0;
+}
+
+I8080.prototype.machine_cycle = function(type, addr, tstates, w8) {
+  if (this.wait_states !== null) {
+    const wait = this.wait_states(type, addr, tstates, this.elapsed);
+    this.wait_cycles += wait;
+    tstates += wait;
+  }
+  this.elapsed += tstates;
+  this.tstates.push(tstates);
+  this.mcycles.push(type);
+  if (this.bus_hook !== null) this.bus_hook(type, addr, tstates, w8);
+}
+
+I8080.prototype.bus_cycle = function(type, addr, w8) {
+  var t = 3;
+  if (this.tstates.length == 0) {
+    // The opcode fetch. Its length is known after the opcode is decoded.
+    t = this.m1_tstates[w8];
+    if (type == "MR") type = "M1";
+  } else if (this.last_opcode == 0xE3 && this.tstates.length == 4) {
+    t = this.xthl_tstates;    // The last write of xthl.
+  }
+  this.machine_cycle(type, addr, t, w8);
+}
+
+// Adds the machine cycles without bus activity, two for DAD and the
+// halt acknowledge for HLT, and the wait states to the instruction time.
+I8080.prototype.end_cycles = function() {
+  const type = this.halted ? "HALT" : "IDLE";
+  var t;
+  while ((t = this.cpu_cycles - this.elapsed + this.wait_cycles) > 0)
+    this.machine_cycle(type, this.pc, Math.min(t, 3), 0);
+  this.cpu_cycles += this.wait_cycles;
+}
+
 I8080.prototype.jump = function(addr) {
   this.pc = addr & 0xffff;
 }
 
+// Options of I8080_disasm() matching the CPU.
+I8080.prototype.disasm_options = function() {
+  return {};
+}
+
+// Returns the CPU state as a plain object suitable for JSON, e.g. for
+// save states. A pending interrupt vector given by a function can not be
+// stored and is saved as no request, the device has to raise it again.
+// RST and CALL vectors (a number or an array of bytes) are kept.
+I8080.prototype.getState = function() {
+  return {
+    version: 1,
+    regs: this.regs.slice(),
+    f: this.store_flags(),
+    sp: this.sp,
+    pc: this.pc,
+    iff: this.iff,
+    iff_pending: this.iff_pending,
+    intr: typeof this.intr === "function" ? null : this.intr,
+    halted: this.halted,
+    last_opcode: this.last_opcode,
+    overshoot: this.overshoot
+  };
+}
+
+I8080.prototype.setState = function(state) {
+  if (state.version !== 1)
+    throw("Unsupported I8080 state version: " + state.version);
+  this.regs = state.regs.slice();
+  this.retrieve_flags(state.f);
+  this.sp = state.sp & 0xffff;
+  this.pc = state.pc & 0xffff;
+  this.iff = state.iff;
+  this.iff_pending = state.iff_pending;
+  this.intr = state.intr === undefined ? null : state.intr;
+  this.halted = state.halted;
+  this.last_opcode = state.last_opcode;
+  this.overshoot = state.overshoot;
+  this.io.interrupt(this.iff);
+}
+
+// The RESET input clears the program counter, the interrupt enable and
+// the halt state. Other registers keep their contents.
+I8080.prototype.reset = function() {
+  this.pc = 0;
+  this.iff = false;
+  this.iff_pending = 0;
+  this.halted = false;
+  this.io.interrupt(false);
+}
+
+// The file is a plain script in the browser and in the concatenated
+// builds, and a CommonJS module in Node.js (see monitor.js).
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.I8080 = I8080;
+}
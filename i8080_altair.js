@@ -0,0 +1,288 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Altair 8800, an S-100 system: 64K of RAM, the ROM (the disk boot
+// loader at FF00 by default), the front panel, the MITS 88-2SIO and the
+// 88-DCDD 8" disk controller. The ports:
+//   08-0A  88-DCDD: 08 - the drive select and the status, 09 - the
+//          control and the sector position, 0A - the data,
+//   10-11  88-2SIO port A: 10 - the status and the control, 11 - the data,
+//   12-13  88-2SIO port B,
+//   FF     the sense switches of the front panel.
+//
+//   var altair = new Altair({ rom: dbl, disks: [image],
+//                             output: function(w8, port) { ... } });
+//   altair.examine(0xFF00);            // the front panel: EXAMINE, RUN
+//   altair.type("DIR\r");              // to the port A
+//   var r = altair.run(2000000);       // r.reason - "input", "halt", ...
+//
+// run() returns with the reason "input" when the program polls the empty
+// serial port in a loop, i.e. waits for the input. The interrupts are not
+// emulated.
+
+const ALTAIR_CLOCK = 2000000;
+// The serial status polls without the data, each within ALTAIR_POLL_GAP
+// cycles from the previous one, which make the input wait.
+const ALTAIR_POLLS = 50;
+const ALTAIR_POLL_GAP = 500;
+
+/** @constructor */
+function Altair(options) {
+  this.options = options || {};
+  const that = this;
+  this.memory = new Memory();
+  this.rom = null;
+  if (this.options.rom)
+    this.rom = this.memory.map_rom(this.options.rom_start === undefined ?
+                                   0xFF00 : this.options.rom_start,
+                                   this.options.rom);
+
+  const output = function(port) {
+    return function(w8) { if (that.options.output) that.options.output(w8, port); };
+  };
+  this.sio = [new MC6850({ output: output(0) }), new MC6850({ output: output(1) })];
+  this.disk = new Altair_DCDD({ disks: this.options.disks, save: this.options.save });
+
+  // The front panel: the sense switches and the programmed output of
+  // 8800b.
+  this.sense = this.options.sense || 0;
+  this.programmed = 0;
+
+  this.io = {
+    input: function(port) { return that.input(port); },
+    output: function(port, w8) { that.output(port, w8); },
+    interrupt: function(iff) {}
+  };
+  this.cpu = new I8080(this.memory, this.io);
+  this.cycles = 0;
+  this.polls = 0;
+  this.poll_cycles = 0;
+}
+
+Altair.prototype.input = function(port) {
+  port &= 0xff;
+  if (port >= 0x08 && port <= 0x0A) return this.disk.read(port - 0x08);
+  if (port >= 0x10 && port <= 0x13) {
+    const sio = this.sio[(port >> 1) & 1];
+    if (!(port & 1)) this.poll(sio);
+    return sio.read(port & 1);
+  }
+  if (port == 0xFF) return this.sense & 0xff;
+  return 0xFF;
+}
+
+Altair.prototype.output = function(port, w8) {
+  port &= 0xff;
+  if (port >= 0x08 && port <= 0x0A) this.disk.write(port - 0x08, w8);
+  else if (port >= 0x10 && port <= 0x13) this.sio[(port >> 1) & 1].write(port & 1, w8);
+  else if (port == 0xFF) this.programmed = w8 & 0xff;
+}
+
+// Stops the run in the loop polling the empty port.
+Altair.prototype.poll = function(sio) {
+  if (sio.ready()) {
+    this.polls = 0;
+    return;
+  }
+  this.polls = this.cycles - this.poll_cycles <= ALTAIR_POLL_GAP ? this.polls + 1 : 1;
+  this.poll_cycles = this.cycles;
+  if (this.polls >= ALTAIR_POLLS) {
+    this.polls = 0;
+    this.cpu.request_stop();
+  }
+}
+
+// Queues the input of the serial port, A by default.
+Altair.prototype.type = function(data, port) {
+  this.sio[port || 0].receive(data);
+  this.polls = 0;
+}
+
+// The front panel switches. EXAMINE jumps to the address, DEPOSIT writes
+// the data switches to the memory at the address LEDs.
+Altair.prototype.examine = function(addr) {
+  this.cpu.jump(addr & 0xffff);
+}
+
+Altair.prototype.examine_next = function() {
+  this.cpu.jump((this.cpu.pc + 1) & 0xffff);
+}
+
+Altair.prototype.deposit = function(w8) {
+  this.memory.write(this.cpu.pc, w8);
+}
+
+Altair.prototype.deposit_next = function(w8) {
+  this.examine_next();
+  this.deposit(w8);
+}
+
+// RESET: the program counter is cleared, the disks are deselected.
+Altair.prototype.reset = function() {
+  this.cpu.jump(0);
+  this.cpu.iff = false;
+  this.cpu.halted = false;
+  this.disk.write(0, 0x80);
+}
+
+// The LEDs of the stopped machine: the address and the data of the
+// memory at the program counter, INTE, HLTA and the programmed output.
+Altair.prototype.leds = function() {
+  return { address: this.cpu.pc, data: this.memory.read(this.cpu.pc),
+           inte: this.cpu.iff, hlta: this.cpu.halted,
+           programmed: this.programmed };
+}
+
+// Loads the image, e.g. Altair BASIC, to the memory at start (0000 by
+// default) as from the paper tape.
+Altair.prototype.load = function(image, start) {
+  start = start || 0;
+  for (var i = 0; i < image.length; ++i)
+    this.memory.write(start + i,
+                      typeof image === "string" ? image.charCodeAt(i) : image[i]);
+}
+
+// Runs for max_cycles clock cycles. Returns { reason, cycles } as
+// I8080.run(), the reason is "input", "halt" or "cycles".
+Altair.prototype.run = function(max_cycles) {
+  const that = this;
+  const r = this.cpu.run(max_cycles, {
+    halt: true,
+    stop: function(cpu) {
+      that.cycles += cpu.cpu_cycles;
+      return false;
+    }
+  });
+  if (r.reason == "request") r.reason = "input";
+  return r;
+}
+
+// Writes the changed disks by options.save(n, image).
+Altair.prototype.flush = function() {
+  this.disk.flush();
+}
+
+const ALTAIR_TRACKS = 77;
+const ALTAIR_SECTORS = 32;
+const ALTAIR_SECTOR = 137;
+const ALTAIR_DISK_SIZE = ALTAIR_TRACKS * ALTAIR_SECTORS * ALTAIR_SECTOR;
+
+// The 88-DCDD controller of up to 16 drives with the .dsk images: 77
+// tracks of 32 hard sectors of 137 bytes. The status bits are active
+// low. Every read of the sector position moves to the next sector, as
+// the disk rotates while the program waits for its sector.
+/** @constructor */
+function Altair_DCDD(options) {
+  this.options = options || {};
+  this.drives = [];
+  const disks = this.options.disks || [];
+  for (var n in disks) {
+    const image = new Uint8Array(Math.max(disks[n].length, ALTAIR_DISK_SIZE));
+    image.set(disks[n]);
+    this.drives[n] = { image: image, track: 0, sector: 0, loaded: false,
+                       dirty: false };
+  }
+  this.current = null;
+  this.drive_number = 0;
+  this.position = 0;
+  this.writing = false;
+}
+
+// The status of the selected drive without the active bits, the bits 3
+// and 4 are always 0, INTE (the bit 5) is 1 as the interrupts are off.
+const ALTAIR_STATUS = 0xE7;
+const ALTAIR_ENWD = 0x01;
+const ALTAIR_MOVE_HEAD = 0x02;
+const ALTAIR_HEAD = 0x04;
+const ALTAIR_TRACK0 = 0x40;
+const ALTAIR_NRDA = 0x80;
+
+Altair_DCDD.prototype.read = function(offset) {
+  const drive = this.current;
+  if (drive === null) return 0xFF;
+  switch (offset) {
+    case 0:
+      var status = ALTAIR_STATUS & ~ALTAIR_MOVE_HEAD;
+      if (drive.track == 0) status &= ~ALTAIR_TRACK0;
+      if (drive.loaded) status &= ~(ALTAIR_HEAD | ALTAIR_NRDA);
+      if (this.writing) status &= ~ALTAIR_ENWD;
+      return status;
+    case 1:
+      if (!drive.loaded) return 0xFF;
+      drive.sector = (drive.sector + 1) % ALTAIR_SECTORS;
+      this.position = 0;
+      this.writing = false;
+      return 0xC0 | (drive.sector << 1);      // the sector true bit is 0
+    case 2:
+      if (!drive.loaded || this.position >= ALTAIR_SECTOR) return 0xFF;
+      return drive.image[this.offset() + this.position++];
+  }
+  return 0xFF;
+}
+
+// Offset 0 selects the drive (the bit 7 deselects), 1 is the control:
+// step in, step out, head load, head unload, ..., write enable.
+Altair_DCDD.prototype.write = function(offset, w8) {
+  w8 &= 0xff;
+  if (offset == 0) {
+    this.drive_number = w8 & 0x0f;
+    this.current = w8 & 0x80 ? null : this.drives[this.drive_number] || null;
+    this.position = 0;
+    this.writing = false;
+    return;
+  }
+  const drive = this.current;
+  if (drive === null) return;
+  if (offset == 1) {
+    if (w8 & 0x01 && drive.track < ALTAIR_TRACKS - 1) drive.track += 1;
+    if (w8 & 0x02 && drive.track > 0) drive.track -= 1;
+    if (w8 & 0x04) drive.loaded = true;
+    if (w8 & 0x08) drive.loaded = false;
+    if (w8 & 0x03) this.writing = false;
+    if (w8 & 0x80) this.writing = true;
+    this.position = 0;
+  } else if (offset == 2 && this.writing) {
+    drive.image[this.offset() + this.position++] = w8;
+    drive.dirty = true;
+    if (this.position >= ALTAIR_SECTOR) this.writing = false;
+  }
+}
+
+Altair_DCDD.prototype.offset = function() {
+  const drive = this.current;
+  return (drive.track * ALTAIR_SECTORS + drive.sector) * ALTAIR_SECTOR;
+}
+
+Altair_DCDD.prototype.flush = function() {
+  for (var n in this.drives) {
+    const drive = this.drives[n];
+    if (!drive.dirty) continue;
+    drive.dirty = false;
+    if (this.options.save) this.options.save(Number(n), drive.image);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.Altair = Altair;
+  module.exports.Altair_DCDD = Altair_DCDD;
+  module.exports.ALTAIR_CLOCK = ALTAIR_CLOCK;
+  module.exports.ALTAIR_TRACKS = ALTAIR_TRACKS;
+  module.exports.ALTAIR_SECTORS = ALTAIR_SECTORS;
+  module.exports.ALTAIR_SECTOR = ALTAIR_SECTOR;
+  module.exports.ALTAIR_DISK_SIZE = ALTAIR_DISK_SIZE;
+}
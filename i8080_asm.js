@@ -0,0 +1,694 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Two-pass 8080 assembler understanding the M80 subset used by the
+// sources in asm/.
+//
+//   var r = I8080_asm(text, { fill: 0xff });
+//   r.start, r.end    - the first and the last address of the image,
+//   r.image           - the bytes from start to end (the .COM file),
+//   r.entry           - the argument of END, or null,
+//   r.symbols         - {NAME: value}.
+//
+// The mnemonics are the ones I8080_disasm() prints, in any case. A label
+// ends with a colon, or starts in the first column. The directives: ORG,
+// EQU, DEFL (SET), DB (DEFB, DEFM), DW (DEFW), DS count[,fill] (DEFS, not
+// emitted at the end of the image), MACRO/ENDM with LOCAL and &
+// concatenation, REPT, IF/ELSE/ENDIF, ERROR, CPU 8080/8085, END [entry].
+// TITLE, SUBTTL, PAGE, .8080 and ASEG are ignored.
+//
+// The expressions are M80 ones: the numbers with B, O, Q, D or H suffix,
+// 'c' characters, $ (the address of the line), + - * / MOD SHL SHR HIGH
+// LOW NOT AND OR XOR and EQ NE LT LE GT GE (true is 0FFFFH), also as
+// & | ^ ~ << >> = <> < <= > >=. The macro arguments can be put in <> to
+// pass the commas.
+//
+// Options: fill - the byte of DS without the fill value and of the gaps
+// (0 by default), cpu, undocumented - the instruction set as for
+// I8080_disasm(), syntax - "zilog" for the Z80 mnemonics of the 8080
+// instructions (LD A,(HL), JP NZ,LOOP, RST 38H) instead of the Intel ones.
+
+/** @constructor */
+function I8080_Assembler(options) {
+  this.options = options || {};
+  this.fill = this.options.fill || 0;
+}
+
+// Builds this.table {"MOV A,M": {opcode, length}} from the disassembler,
+// "#" stands for a number. With the Zilog syntax the keys are the Zilog
+// instructions, e.g. "LD A,(HL)" or "LD A,(#)".
+I8080_Assembler.prototype.select_cpu = function(cpu) {
+  const options = { cpu: cpu, undocumented: this.options.undocumented };
+  const zilog = this.options.syntax == "zilog";
+  const registers = /^(A|B|C|D|E|H|L|M|SP|PSW)$/;
+  var table = {};
+  this.mnemonics = {};
+  for (var opcode = 0; opcode < 0x100; ++opcode) {
+    const instr = I8080_disasm([opcode, 0, 0], options);
+    if (instr.bad) continue;
+    var cmd = instr.cmd;
+    var args = [];
+    if (instr.arg1 !== undefined) args.push(instr.arg1);
+    if (instr.arg2 !== undefined) args.push(instr.arg2);
+    if (cmd != "RST")
+      args = args.map(function(arg) {
+        return registers.test(arg) ? arg : "#";
+      });
+    if (zilog) {
+      const z = I8080_zilog(cmd, args, function(v) { return "#"; });
+      cmd = z.cmd;
+      args = z.args;
+    } else if (cmd == "RST") {
+      args = ["#"];
+    }
+    const key = cmd + " " + args.join(",");
+    if (table[key] === undefined)
+      table[key] = { opcode: opcode, length: instr.length };
+    this.mnemonics[cmd] = true;
+  }
+  this.table = table;
+}
+
+I8080_Assembler.prototype.error = function(message) {
+  throw("Line " + this.line_number + ": " + message);
+}
+
+// Splits by the commas outside quotes, parentheses and <>.
+I8080_Assembler.prototype.split = function(text, brackets) {
+  var items = [], item = "", quote = null, depth = 0;
+  for (var i = 0; i < text.length; ++i) {
+    const c = text[i];
+    if (quote !== null) {
+      if (c == quote) quote = null;
+    } else if (c == "'" || c == '"') {
+      quote = c;
+    } else if (c == "(" || (brackets && c == "<")) {
+      depth += 1;
+    } else if (c == ")" || (brackets && c == ">")) {
+      depth -= 1;
+    } else if (c == "," && depth == 0) {
+      items.push(item.trim());
+      item = "";
+      continue;
+    }
+    item += c;
+  }
+  if (item.trim().length || items.length) items.push(item.trim());
+  return items;
+}
+
+I8080_Assembler.prototype.strip_comment = function(line) {
+  var quote = null;
+  for (var i = 0; i < line.length; ++i) {
+    const c = line[i];
+    if (quote !== null) {
+      if (c == quote) quote = null;
+    } else if (c == "'" || c == '"') {
+      quote = c;
+    } else if (c == ";") {
+      return line.substring(0, i);
+    }
+  }
+  return line;
+}
+
+// The characters of a quoted string, "" or '' stand for the quote.
+I8080_Assembler.prototype.string = function(text) {
+  const quote = text[0];
+  var s = "";
+  for (var i = 1; i < text.length; ++i) {
+    if (text[i] == quote) {
+      if (text[i + 1] != quote) {
+        if (i != text.length - 1) return null;
+        return s;
+      }
+      ++i;
+    }
+    s += text[i];
+  }
+  return null;
+}
+
+// Expressions.
+
+I8080_Assembler.prototype.tokenize = function(text) {
+  var tokens = [], m;
+  while ((text = text.replace(/^\s+/, "")).length) {
+    if (m = /^[0-9][0-9A-Za-z]*/.exec(text)) {
+      tokens.push({ type: "number", value: this.number(m[0]) });
+    } else if (m = /^[A-Za-z_.?@][\w.?@$]*/.exec(text)) {
+      tokens.push({ type: "name", value: m[0].toUpperCase() });
+    } else if (m = /^\$/.exec(text)) {
+      tokens.push({ type: "number", value: this.location });
+    } else if (m = /^('([^']|'')*'|"([^"]|"")*")/.exec(text)) {
+      const s = this.string(m[0]);
+      if (s.length == 0 || s.length > 2)
+        this.error("Bad character constant: " + m[0]);
+      var value = 0;
+      for (var i = 0; i < s.length; ++i)
+        value = (value << 8) | (s.charCodeAt(i) & 0xff);
+      tokens.push({ type: "number", value: value });
+    } else if (m = /^[-+*\/()]/.exec(text)) {
+      tokens.push({ type: "op", value: m[0] });
+    } else if (m = /^(<<|>>|<>|<=|>=|[&|^~=<>])/.exec(text)) {
+      tokens.push({ type: "name", value: I8080_ASM_OPERATORS[m[0]] });
+    } else {
+      this.error("Syntax error: " + text);
+    }
+    text = text.substring(m[0].length);
+  }
+  return tokens;
+}
+
+I8080_Assembler.prototype.number = function(text) {
+  const s = text.toUpperCase();
+  var m, value;
+  if (m = /^([0-9A-F]+)H$/.exec(s)) value = parseInt(m[1], 16);
+  else if (m = /^([01]+)B$/.exec(s)) value = parseInt(m[1], 2);
+  else if (m = /^([0-7]+)[OQ]$/.exec(s)) value = parseInt(m[1], 8);
+  else if (m = /^([0-9]+)D?$/.exec(s)) value = parseInt(m[1], 10);
+  else this.error("Bad number: " + text);
+  return value;
+}
+
+const I8080_ASM_OPERATORS = {
+  "&": "AND", "|": "OR", "^": "XOR", "~": "NOT", "<<": "SHL", ">>": "SHR",
+  "=": "EQ", "<>": "NE", "<": "LT", "<=": "LE", ">": "GT", ">=": "GE"
+};
+
+// Evaluates the expression. In the first pass an undefined symbol is 0
+// and sets this.undefined, in the second pass it is an error.
+I8080_Assembler.prototype.evaluate = function(text) {
+  const that = this;
+  const tokens = this.tokenize(text);
+  var i = 0;
+
+  const peek = function(type, values) {
+    const t = tokens[i];
+    return t !== undefined && t.type == type && values.indexOf(t.value) >= 0;
+  };
+  const binary = function(type, ops, next, apply) {
+    return function() {
+      var left = next();
+      while (peek(type, ops)) {
+        const op = tokens[i++].value;
+        left = apply(op, left, next());
+      }
+      return left;
+    };
+  };
+  const bool = function(x) { return x ? 0xffff : 0; };
+
+  const primary = function() {
+    const t = tokens[i++];
+    if (t === undefined) that.error("Unexpected end of expression: " + text);
+    if (t.type == "number") return t.value;
+    if (t.type == "op" && t.value == "(") {
+      const value = or();
+      if (!peek("op", [")"])) that.error("Missing ): " + text);
+      ++i;
+      return value;
+    }
+    if (t.type == "name") {
+      if (t.value == "HIGH") return (primary() >> 8) & 0xff;
+      if (t.value == "LOW") return primary() & 0xff;
+      return that.symbol(t.value);
+    }
+    that.error("Syntax error: " + text);
+  };
+  const mul = function() {
+    var left = primary();
+    while (peek("op", ["*", "/"]) || peek("name", ["MOD", "SHL", "SHR"])) {
+      const op = tokens[i++].value;
+      const right = primary();
+      if (op == "*") left = (left * right) & 0xffff;
+      else if (op == "/") {
+        if (right == 0) that.error("Division by zero");
+        left = Math.floor(left / right);
+      } else if (op == "MOD") {
+        if (right == 0) that.error("Division by zero");
+        left = left % right;
+      } else if (op == "SHL") left = (left << right) & 0xffff;
+      else left = left >>> right;
+    }
+    return left;
+  };
+  const neg = function() {
+    if (peek("op", ["-"])) { ++i; return (-neg()) & 0xffff; }
+    if (peek("op", ["+"])) { ++i; return neg(); }
+    return mul();
+  };
+  const add = binary("op", ["+", "-"], neg, function(op, a, b) {
+    return (op == "+" ? a + b : a - b) & 0xffff;
+  });
+  const rel = binary("name", ["EQ", "NE", "LT", "LE", "GT", "GE"], add,
+                     function(op, a, b) {
+    switch (op) {
+      case "EQ": return bool(a == b);
+      case "NE": return bool(a != b);
+      case "LT": return bool(a < b);
+      case "LE": return bool(a <= b);
+      case "GT": return bool(a > b);
+      case "GE": return bool(a >= b);
+    }
+  });
+  const not = function() {
+    if (peek("name", ["NOT"])) { ++i; return (~not()) & 0xffff; }
+    return rel();
+  };
+  const and = binary("name", ["AND"], not, function(op, a, b) {
+    return a & b;
+  });
+  const or = binary("name", ["OR", "XOR"], and, function(op, a, b) {
+    return op == "OR" ? a | b : a ^ b;
+  });
+
+  const value = or();
+  if (i < tokens.length) this.error("Syntax error: " + text);
+  return value & 0xffff;
+}
+
+I8080_Assembler.prototype.symbol = function(name) {
+  const value = this.symbols[name];
+  if (value !== undefined) return value;
+  if (this.pass == 2) this.error("Undefined symbol: " + name);
+  this.undefined = true;
+  return 0;
+}
+
+// Evaluates the expression which must be known in the first pass.
+I8080_Assembler.prototype.evaluate_now = function(text) {
+  this.undefined = false;
+  const value = this.evaluate(text);
+  if (this.undefined) this.error("Forward reference: " + text);
+  return value;
+}
+
+I8080_Assembler.prototype.byte = function(text) {
+  const value = this.evaluate(text);
+  if (value > 0xff && value < 0xff00) this.error("Byte out of range: " + text);
+  return value & 0xff;
+}
+
+// Output.
+
+I8080_Assembler.prototype.emit = function(w8) {
+  if (this.pass == 2) this.memory[this.pc] = w8;
+  if (this.pc < this.start) this.start = this.pc;
+  if (this.pc > this.end) this.end = this.pc;
+  this.pc = (this.pc + 1) & 0xffff;
+}
+
+// DS. The bytes get into the image only if something is emitted after
+// them, the reserved space at the end is not a part of the file.
+I8080_Assembler.prototype.reserve = function(count, fill) {
+  for (var i = 0; i < count; ++i) {
+    if (this.pass == 2) this.memory[this.pc] = fill;
+    if (this.pc < this.start) this.start = this.pc;
+    this.pc = (this.pc + 1) & 0xffff;
+  }
+}
+
+I8080_Assembler.prototype.emit_word = function(w16) {
+  this.emit(w16 & 0xff);
+  this.emit(w16 >> 8);
+}
+
+// The kind is "label", "equ" or "defl". Only DEFL may redefine a symbol,
+// and a label must get the same address in both passes.
+I8080_Assembler.prototype.define = function(name, value, kind) {
+  const old = this.kinds[name];
+  if (old !== undefined && (old != "defl" || kind != "defl"))
+    this.error("Duplicate symbol: " + name);
+  if (this.pass == 2 && kind == "label" && this.symbols[name] != value)
+    this.error("Phase error: " + name);
+  this.kinds[name] = kind;
+  this.symbols[name] = value;
+}
+
+// Source lines.
+
+// Returns {label, op, args}, the label without the colon.
+I8080_Assembler.prototype.parse = function(line) {
+  line = this.strip_comment(line).replace(/\s+$/, "");
+  var label = null, m;
+  if (m = /^\s*([A-Za-z_.?@$][\w.?@$]*)::?/.exec(line)) {
+    label = m[1];
+    line = line.substring(m[0].length);
+  } else if (m = /^([A-Za-z_.?@$][\w.?@$]*)(?=\s|$)/.exec(line)) {
+    const next = /^\s*([\w.]*)/.exec(line.substring(m[0].length))[1];
+    if (!this.is_operation(m[1]) ||
+        /^(EQU|DEFL|SET|MACRO)$/i.test(next)) {
+      label = m[1];
+      line = line.substring(m[0].length);
+    }
+  }
+  m = /^\s*([A-Za-z_.?@][\w.?@$]*)?\s*(.*)$/.exec(line);
+  return {
+    label: label === null ? null : label.toUpperCase(),
+    op: m[1] === undefined ? null : m[1].toUpperCase(),
+    args: m[2]
+  };
+}
+
+I8080_Assembler.prototype.is_operation = function(name) {
+  name = name.toUpperCase();
+  if (I8080_ASM_DIRECTIVES.indexOf(name) >= 0) return true;
+  return this.mnemonics[name] !== undefined || this.macros[name] !== undefined;
+}
+
+const I8080_ASM_DIRECTIVES = [
+  "ORG", "EQU", "DEFL", "SET", "DB", "DW", "DS", "DEFB", "DEFM", "DEFW",
+  "DEFS", "MACRO", "ENDM", "LOCAL", "REPT", "IF", "ELSE", "ENDIF", "ERROR",
+  "CPU", "END", "TITLE", "SUBTTL", "PAGE", ".8080", "ASEG"
+];
+
+// Collects the lines up to the ENDM of the MACRO or REPT at lines[i].
+// Returns the index of the ENDM.
+I8080_Assembler.prototype.block = function(lines, i, body) {
+  var depth = 1;
+  for (++i; i < lines.length; ++i) {
+    const op = this.parse(lines[i].text).op;
+    if (op == "MACRO" || op == "REPT") depth += 1;
+    if (op == "ENDM" && --depth == 0) return i;
+    body.push(lines[i]);
+  }
+  this.error("ENDM expected");
+}
+
+// Replaces the macro parameters and the local labels in the line. In
+// the strings only &name is replaced, & next to a name is removed.
+I8080_Assembler.prototype.substitute = function(text, names) {
+  var out = "", quote = null, m;
+  for (var i = 0; i < text.length; ) {
+    const c = text[i];
+    if (m = /^[\w.?@$]+/.exec(text.substring(i))) {
+      const name = m[0].toUpperCase();
+      const amp_before = out[out.length - 1] == "&";
+      const amp_after = text[i + m[0].length] == "&";
+      i += m[0].length;
+      if (names[name] !== undefined &&
+          (quote === null || amp_before || amp_after)) {
+        if (amp_before) out = out.substring(0, out.length - 1);
+        if (amp_after) ++i;
+        out += names[name];
+      } else {
+        out += m[0];
+      }
+      continue;
+    }
+    if (quote !== null) {
+      if (c == quote) quote = null;
+    } else if (c == "'" || c == '"') {
+      quote = c;
+    }
+    out += c;
+    ++i;
+  }
+  return out;
+}
+
+I8080_Assembler.prototype.expand = function(macro, args, line_number) {
+  var names = {};
+  for (var i = 0; i < macro.params.length; ++i) {
+    var arg = args[i] === undefined ? "" : args[i];
+    if (arg[0] == "<" && arg[arg.length - 1] == ">")
+      arg = arg.substring(1, arg.length - 1);
+    names[macro.params[i]] = arg;
+  }
+  var lines = [];
+  for (var i = 0; i < macro.body.length; ++i) {
+    const line = this.parse(macro.body[i].text);
+    if (line.op == "LOCAL") {
+      const locals = this.split(line.args);
+      for (var j = 0; j < locals.length; ++j)
+        names[locals[j].toUpperCase()] = "..%04X".format(this.local_count++);
+      continue;
+    }
+    lines.push({ text: this.substitute(macro.body[i].text, names),
+                 number: line_number });
+  }
+  return lines;
+}
+
+I8080_Assembler.prototype.assemble_lines = function(lines) {
+  for (var i = 0; i < lines.length && !this.ended; ++i) {
+    this.line_number = lines[i].number;
+    this.location = this.pc;
+    const line = this.parse(lines[i].text);
+    const op = line.op;
+
+    // Conditional assembly.
+    if (op == "IF") {
+      const active = this.active();
+      this.conditions.push({
+        active: active && this.evaluate_now(line.args) != 0,
+        parent: active
+      });
+      continue;
+    }
+    if (op == "ELSE") {
+      const top = this.conditions[this.conditions.length - 1];
+      if (top === undefined) this.error("ELSE without IF");
+      top.active = top.parent && !top.active;
+      continue;
+    }
+    if (op == "ENDIF") {
+      if (this.conditions.pop() === undefined) this.error("ENDIF without IF");
+      continue;
+    }
+    if (!this.active()) continue;
+
+    if (op == "MACRO") {
+      if (line.label === null) this.error("Macro name expected");
+      var body = [];
+      i = this.block(lines, i, body);
+      this.macros[line.label] = {
+        params: this.split(line.args).map(function(p) {
+          return p.toUpperCase();
+        }),
+        body: body
+      };
+      continue;
+    }
+
+    if (line.label !== null && !/^(EQU|DEFL|SET)$/.test(op))
+      this.define(line.label, this.pc, "label");
+
+    if (op === null) continue;
+
+    if (op == "REPT") {
+      const count = this.evaluate_now(line.args);
+      var body = [];
+      i = this.block(lines, i, body);
+      for (var n = 0; n < count && !this.ended; ++n) this.assemble_lines(body);
+      continue;
+    }
+
+    const macro = this.macros[op];
+    if (macro !== undefined) {
+      const number = this.line_number;
+      this.assemble_lines(this.expand(macro, this.split(line.args, true),
+                                      number));
+      continue;
+    }
+
+    this.directive(line) || this.instruction(line);
+  }
+}
+
+I8080_Assembler.prototype.active = function() {
+  const top = this.conditions[this.conditions.length - 1];
+  return top === undefined || top.active;
+}
+
+// Returns false if op is not a directive.
+I8080_Assembler.prototype.directive = function(line) {
+  const that = this;
+  const args = line.args;
+  switch (line.op) {
+    case "ORG":
+      this.pc = this.evaluate_now(args);
+      break;
+    case "EQU":
+    case "DEFL":
+    case "SET":
+      if (line.label === null) this.error(line.op + " without a name");
+      this.undefined = false;
+      const value = this.evaluate(args);
+      // A symbol defined by a forward reference is known in the second
+      // pass only, so its earlier uses are undefined.
+      if (!this.undefined)
+        this.define(line.label, value, line.op == "EQU" ? "equ" : "defl");
+      break;
+    case "DB":
+    case "DEFB":
+    case "DEFM":
+      this.split(args).forEach(function(item) {
+        const s = /^['"]/.test(item) ? that.string(item) : null;
+        if (s !== null && s.length != 1) {
+          for (var i = 0; i < s.length; ++i) that.emit(s.charCodeAt(i) & 0xff);
+        } else {
+          that.emit(that.byte(item));
+        }
+      });
+      break;
+    case "DW":
+    case "DEFW":
+      this.split(args).forEach(function(item) {
+        that.emit_word(that.evaluate(item));
+      });
+      break;
+    case "DS":
+    case "DEFS":
+      const items = this.split(args);
+      const count = this.evaluate_now(items[0]);
+      const fill = items.length > 1 ? this.byte(items[1]) : this.fill;
+      this.reserve(count, fill);
+      break;
+    case "ERROR":
+      this.error(args);
+      break;
+    case "CPU":
+      if (!/^808[05]$/.test(args)) this.error("Unknown CPU: " + args);
+      this.select_cpu(args);
+      break;
+    case "END":
+      if (args.length) this.entry = this.evaluate(args);
+      this.ended = true;
+      break;
+    case "LOCAL":
+      this.error("LOCAL outside a macro");
+    case "ENDM":
+      this.error("ENDM without MACRO or REPT");
+    case "TITLE":
+    case "SUBTTL":
+    case "PAGE":
+    case ".8080":
+    case "ASEG":
+      break;
+    default:
+      return false;
+  }
+  return true;
+}
+
+// Returns the operand as it is in the keys of this.table: a register,
+// "#" or "(#)" for the Zilog indirect addresses.
+I8080_Assembler.prototype.operand = function(arg) {
+  if (this.options.syntax != "zilog")
+    return /^(A|B|C|D|E|H|L|M|SP|PSW)$/i.test(arg) ? arg.toUpperCase() : "#";
+  const s = arg.replace(/\s+/g, "").toUpperCase();
+  if (/^(A|B|C|D|E|H|L|BC|DE|HL|SP|AF|NZ|Z|NC|PO|PE|P|M|\((BC|DE|HL|SP)\))$/
+      .test(s))
+    return s;
+  return this.enclosed(arg) ? "(#)" : "#";
+}
+
+// Checks that the text is in the parentheses as a whole, not as in
+// (1+2)*3.
+I8080_Assembler.prototype.enclosed = function(text) {
+  if (text[0] != "(" || text[text.length - 1] != ")") return false;
+  var depth = 0, quote = null;
+  for (var i = 0; i < text.length - 1; ++i) {
+    const c = text[i];
+    if (quote !== null) {
+      if (c == quote) quote = null;
+    } else if (c == "'" || c == '"') {
+      quote = c;
+    } else if (c == "(") {
+      depth += 1;
+    } else if (c == ")" && --depth == 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+I8080_Assembler.prototype.instruction = function(line) {
+  const that = this;
+  const args = this.split(line.args);
+  var number = null;
+  const pattern = args.map(function(arg) {
+    const operand = that.operand(arg);
+    if (operand == "#") number = arg;
+    if (operand == "(#)") number = arg.substring(1, arg.length - 1);
+    return operand;
+  });
+  const instr = this.table[line.op + " " + pattern.join(",")];
+  if (instr === undefined) {
+    if (this.is_operation(line.op)) this.error("Bad operands: " + line.args);
+    this.error("Unknown instruction: " + line.op);
+  }
+  if (line.op == "RST") {
+    // RST 7 in the Intel syntax, RST 38H in the Zilog one.
+    var n = this.evaluate(number);
+    if (this.options.syntax == "zilog") {
+      if (n & ~0x38) this.error("Bad restart: " + number);
+      n >>= 3;
+    }
+    if (n > 7) this.error("Bad restart: " + number);
+    this.emit(instr.opcode | (n << 3));
+    return;
+  }
+  this.emit(instr.opcode);
+  if (instr.length == 2) this.emit(this.byte(number));
+  if (instr.length == 3) this.emit_word(this.evaluate(number));
+}
+
+I8080_Assembler.prototype.assemble = function(text) {
+  const lines = text.split(/\r?\n/).map(function(line, i) {
+    return { text: line, number: i + 1 };
+  });
+  this.symbols = {};
+  for (this.pass = 1; this.pass <= 2; ++this.pass) {
+    this.select_cpu(this.options.cpu);
+    this.memory = [];
+    this.pc = 0;
+    this.start = 0x10000;
+    this.end = -1;
+    this.entry = null;
+    this.ended = false;
+    this.macros = {};
+    this.conditions = [];
+    this.kinds = {};
+    this.local_count = 0;
+    this.assemble_lines(lines);
+    if (this.conditions.length) this.error("ENDIF expected");
+  }
+
+  var image = [];
+  for (var addr = this.start; addr <= this.end; ++addr)
+    image.push(this.memory[addr] === undefined ? this.fill : this.memory[addr]);
+  return {
+    start: this.end < 0 ? null : this.start,
+    end: this.end < 0 ? null : this.end,
+    image: image,
+    entry: this.entry,
+    symbols: this.symbols
+  };
+}
+
+I8080_asm = function(text, options) {
+  return new I8080_Assembler(options).assemble(text);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.I8080_Assembler = I8080_Assembler;
+  module.exports.I8080_asm = I8080_asm;
+}
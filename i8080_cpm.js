@@ -0,0 +1,773 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// CP/M 2.2 environment for running .COM programs. The BDOS and the BIOS
+// are emulated in JavaScript: the calls to the BDOS entry and to the BIOS
+// jump table are trapped in instruction() of the CPU instance.
+//
+//   var cpm = new CPM(cpu, { drives: { A: new CPM_Directory(files) } });
+//   cpm.exec("M80 =TEST");             // loads M80.COM from A:
+//   cpm.type("...\r");                 // the console input
+//   var r = cpm.run(1000000);          // r.reason - "exit", "input", ...
+//   cpm.output;                        // the console output
+//
+// The drives are objects with list() (the file names, "NAME.TYP"),
+// read(name) (a Uint8Array or null), write(name, data), remove(name)
+// and rename(from, to), e.g. CPM_Directory or a host directory. The
+// files are read into memory at the first access and written back at
+// close and at the exit of the program.
+//
+// When the program waits for the console input and there is none, run()
+// returns with the reason "input" and pc at the BDOS (or BIOS) call, so
+// the call is repeated by the next run() after type(). There is no CCP,
+// the warm boot ends the program with the reason "exit".
+//
+// The memory map: the TPA is 0100-FC05, the BDOS entry is FC06, the disk
+// parameter block is at FC10, the allocation vector at FD00 and the BIOS
+// jump table at FE00.
+
+const CPM_BDOS = 0xFC06;
+const CPM_DPB = 0xFC10;
+const CPM_ALV = 0xFD00;
+const CPM_BIOS_TABLE = 0xFE00;
+const CPM_BIOS_TRAPS = 0xFE80;
+const CPM_BIOS_CALLS = 17;
+const CPM_RECORD = 128;
+
+// 2K blocks, 4M bytes, 1024 directory entries: SPT, BSH, BLM, EXM, DSM,
+// DRM, AL0, AL1, CKS, OFF.
+const CPM_DPB_BYTES = [
+  0x80, 0x00, 0x04, 0x0F, 0x00, 0xFF, 0x07, 0xFF, 0x03, 0xFF, 0xFF,
+  0x00, 0x00, 0x00, 0x00
+];
+
+/** @constructor */
+function CPM(cpu, options) {
+  this.cpu = cpu;
+  this.memory = cpu.memory;
+  this.options = options || {};
+  this.drives = this.options.drives || { A: new CPM_Directory() };
+
+  // The console: the input queue, the output text (without
+  // options.output) and the column for the tabs.
+  this.input = [];
+  this.output = "";
+  this.column = 0;
+  this.line = null;
+
+  this.drive = 0;
+  this.user = 0;
+  this.dma = 0x80;
+  this.iobyte = 0;
+
+  // {"A:NAME.TYP": { drive, name, data, size, dirty }} and the directory
+  // entries left for search next.
+  this.files = {};
+  this.found = [];
+
+  // The trapped addresses.
+  this.bdos_entry = CPM_BDOS;
+  this.bios_traps = CPM_BIOS_TRAPS;
+
+  this.reason = null;
+  this.attach();
+}
+
+CPM.prototype.attach = function() {
+  const that = this;
+  const cpu = this.cpu;
+  const instruction = cpu.instruction;
+  this.saved = cpu.save_methods(["instruction"]);
+
+  cpu.instruction = function() {
+    const pc = cpu.pc;
+    if ((pc == that.bdos_entry ||
+         (pc >= that.bios_traps && pc < that.bios_traps + CPM_BIOS_CALLS)) &&
+        !(cpu.iff && cpu.intr !== null))
+      return that.trap(pc);
+    return instruction.call(cpu);
+  };
+}
+
+// Restores the CPU method.
+CPM.prototype.detach = function() {
+  this.cpu.restore_methods(this.saved);
+}
+
+// Executes the call at pc and returns from it, unless it has jumped
+// elsewhere (the boot). The call stays pending when it waits for the
+// input or ends the program.
+CPM.prototype.trap = function(pc) {
+  const done = pc == this.bdos_entry ? this.bdos(this.cpu.c()) :
+                                       this.bios(pc - this.bios_traps);
+  if (!done) {
+    this.cpu.request_stop();
+    return 0;
+  }
+  if (this.cpu.pc == pc) this.cpu.ret();
+  return 10;
+}
+
+// Sets up the zero page, the BDOS and the BIOS.
+CPM.prototype.reset = function() {
+  const mem = this.memory;
+  const jmp = function(addr, target) {
+    mem.write(addr, 0xC3);
+    mem.write(addr + 1, target & 0xff);
+    mem.write(addr + 2, target >> 8);
+  };
+  jmp(0x0000, CPM_BIOS_TABLE + 3);
+  mem.write(0x0003, this.iobyte);
+  mem.write(0x0004, (this.user << 4) | this.drive);
+  jmp(0x0005, CPM_BDOS);
+  mem.write(CPM_BDOS, 0xC9);
+  for (var i = 0; i < CPM_DPB_BYTES.length; ++i)
+    mem.write(CPM_DPB + i, CPM_DPB_BYTES[i]);
+  for (var i = 0; i < 0x100; ++i) mem.write(CPM_ALV + i, 0);
+  for (var n = 0; n < CPM_BIOS_CALLS; ++n) {
+    jmp(CPM_BIOS_TABLE + n * 3, CPM_BIOS_TRAPS + n);
+    mem.write(CPM_BIOS_TRAPS + n, 0xC9);
+  }
+  this.dma = 0x80;
+  this.reason = null;
+}
+
+// Loads the program image (a string or an array of bytes) at 0100 as
+// the CCP does: the command tail at 0080, the first two arguments as
+// the file names in the FCBs at 005C and 006C, and the return address
+// 0000 on the stack.
+CPM.prototype.load = function(image, tail) {
+  const mem = this.memory;
+  tail = (tail || "").toUpperCase();
+  this.reset();
+  for (var i = 0; i < image.length; ++i)
+    mem.write(0x100 + i, typeof image === "string" ? image.charCodeAt(i) : image[i]);
+
+  const args = tail.trim().split(/\s+/);
+  this.parse_fcb(0x5C, args[0] || "");
+  this.parse_fcb(0x6C, args[1] || "");
+  const text = tail.trim().length ? " " + tail.trim() : "";
+  mem.write(0x80, Math.min(text.length, 127));
+  for (var i = 0; i < 127; ++i)
+    mem.write(0x81 + i, i < text.length ? text.charCodeAt(i) : 0);
+
+  const cpu = this.cpu;
+  cpu.sp = CPM_BDOS & 0xff00;
+  cpu.push(0x0000);
+  cpu.jump(0x100);
+}
+
+// Loads "NAME args" from the current drive, NAME.COM or a file with the
+// type given. Throws if it is not found.
+CPM.prototype.exec = function(command) {
+  command = command.trim();
+  const space = command.search(/\s/);
+  const name = (space < 0 ? command : command.substring(0, space)).toUpperCase();
+  const tail = space < 0 ? "" : command.substring(space + 1);
+  var drive = this.drive;
+  var file = name;
+  if (/^[A-P]:/.test(name)) {
+    drive = name.charCodeAt(0) - 65;
+    file = name.substring(2);
+  }
+  if (file.indexOf(".") < 0) file += ".COM";
+  const dir = this.drives[String.fromCharCode(65 + drive)];
+  const image = dir ? dir.read(file) : null;
+  if (!image) throw("Program not found: " + name);
+  this.load(image, tail);
+}
+
+// Runs the program until the exit, the wait for the input or the end of
+// max_cycles. Returns the result of I8080.run() with the reason "exit"
+// or "input" if so.
+CPM.prototype.run = function(max_cycles, options) {
+  this.reason = null;
+  const result = this.cpu.run(max_cycles, options);
+  if (this.reason !== null) result.reason = this.reason;
+  if (this.reason == "exit") this.flush();
+  return result;
+}
+
+// Adds the text to the console input.
+CPM.prototype.type = function(text) {
+  for (var i = 0; i < text.length; ++i) this.input.push(text.charCodeAt(i) & 0xff);
+}
+
+CPM.prototype.wait = function() {
+  this.reason = "input";
+  return false;
+}
+
+CPM.prototype.exit = function() {
+  this.reason = "exit";
+  return false;
+}
+
+CPM.prototype.putchar = function(c) {
+  if (this.options.output) this.options.output(c);
+  else this.output += String.fromCharCode(c);
+}
+
+// The BDOS console output: the tabs are expanded.
+CPM.prototype.conout = function(c) {
+  c &= 0x7f;
+  if (c == 9) {
+    do this.conout(0x20); while (this.column % 8);
+    return;
+  }
+  this.putchar(c);
+  if (c == 13) this.column = 0;
+  else if (c == 8) this.column = Math.max(0, this.column - 1);
+  else if (c >= 0x20) this.column += 1;
+}
+
+// The echo of the input, the control characters as ^X.
+CPM.prototype.echo = function(c) {
+  if (c < 0x20 && c != 13 && c != 10 && c != 9 && c != 8) {
+    this.conout(0x5E);
+    c += 0x40;
+  }
+  this.conout(c);
+}
+
+// Returns A = L and B = H as the BDOS does.
+CPM.prototype.result = function(hl) {
+  const cpu = this.cpu;
+  cpu.set_l(hl & 0xff);
+  cpu.set_h((hl >> 8) & 0xff);
+  cpu.set_a(hl & 0xff);
+  cpu.set_b((hl >> 8) & 0xff);
+  return true;
+}
+
+CPM.prototype.bdos = function(fn) {
+  const cpu = this.cpu;
+  const mem = this.memory;
+  const de = cpu.de();
+  const e = cpu.e();
+  switch (fn) {
+    case 0: return this.exit();
+    case 1:
+      if (!this.input.length) return this.wait();
+      this.echo(this.input[0]);
+      return this.result(this.input.shift());
+    case 2:
+      this.conout(e);
+      return this.result(0);
+    case 3: return this.result(0x1A);
+    case 4:
+      if (this.options.punch) this.options.punch(e);
+      return this.result(0);
+    case 5:
+      if (this.options.list) this.options.list(e);
+      return this.result(0);
+    case 6:
+      if (e == 0xFF) return this.result(this.input.length ? this.input.shift() : 0);
+      if (e == 0xFE) return this.result(this.input.length ? 0xFF : 0);
+      this.putchar(e);
+      return this.result(0);
+    case 7: return this.result(this.iobyte);
+    case 8:
+      this.iobyte = e;
+      mem.write(0x0003, e);
+      return this.result(0);
+    case 9:
+      for (var addr = de, n = 0; mem.read(addr) != 0x24 && n < 0x10000; ++n)
+        this.conout(mem.read(addr++));
+      return this.result(0);
+    case 10: return this.read_line(de);
+    case 11: return this.result(this.input.length ? 0xFF : 0);
+    case 12: return this.result(0x0022);
+    case 13:
+      this.flush();
+      this.drive = 0;
+      this.dma = 0x80;
+      mem.write(0x0004, this.user << 4);
+      return this.result(0);
+    case 14:
+      if (!this.drives[String.fromCharCode(65 + (e & 0x0f))]) return this.result(0xFF);
+      this.drive = e & 0x0f;
+      mem.write(0x0004, (this.user << 4) | this.drive);
+      return this.result(0);
+    case 15: return this.result(this.open(de));
+    case 16: return this.result(this.close(de));
+    case 17: return this.result(this.search_first(de));
+    case 18: return this.result(this.search_next());
+    case 19: return this.result(this.remove(de));
+    case 20: return this.result(this.read_sequential(de));
+    case 21: return this.result(this.write_sequential(de));
+    case 22: return this.result(this.make(de));
+    case 23: return this.result(this.rename(de));
+    case 24:
+      var vector = 0;
+      for (var d = 0; d < 16; ++d)
+        if (this.drives[String.fromCharCode(65 + d)]) vector |= 1 << d;
+      return this.result(vector);
+    case 25: return this.result(this.drive);
+    case 26:
+      this.dma = de;
+      return this.result(0);
+    case 27: return this.result(CPM_ALV);
+    case 29: return this.result(0);
+    case 31: return this.result(CPM_DPB);
+    case 32:
+      if (e == 0xFF) return this.result(this.user);
+      this.user = e & 0x0f;
+      mem.write(0x0004, (this.user << 4) | this.drive);
+      return this.result(0);
+    case 33: return this.result(this.read_random(de));
+    case 34:
+    case 40: return this.result(this.write_random(de));
+    case 35: return this.result(this.file_size(de));
+    case 36:
+      this.set_random(de, this.position(de));
+      return this.result(0);
+    default:
+      // 28 (write protect), 30 (attributes), 37 (reset drives) and the
+      // unknown functions.
+      return this.result(0);
+  }
+}
+
+// Reads a line into the buffer: the maximal length, the length and the
+// characters. The line is kept between the waits for the input.
+CPM.prototype.read_line = function(addr) {
+  const mem = this.memory;
+  const max = mem.read(addr);
+  if (this.line === null) this.line = [];
+  while (true) {
+    if (this.line.length >= max) break;
+    if (!this.input.length) return this.wait();
+    const c = this.input.shift();
+    if (c == 13 || c == 10) break;
+    if (c == 3 && this.line.length == 0) {
+      this.line = null;
+      return this.exit();
+    }
+    if (c == 8 || c == 0x7F) {
+      if (this.line.length) {
+        this.line.pop();
+        this.conout(8); this.conout(0x20); this.conout(8);
+      }
+    } else if (c == 0x15 || c == 0x18) {
+      this.line = [];
+      this.echo(c);
+      this.conout(13); this.conout(10);
+    } else {
+      this.line.push(c);
+      this.echo(c);
+    }
+  }
+  mem.write(addr + 1, this.line.length);
+  for (var i = 0; i < this.line.length; ++i) mem.write(addr + 2 + i, this.line[i]);
+  this.line = null;
+  this.conout(13);
+  return this.result(0);
+}
+
+CPM.prototype.bios = function(n) {
+  const cpu = this.cpu;
+  const c = cpu.c();
+  switch (n) {
+    case 0:
+    case 1: return this.exit();
+    case 2: return this.result(this.input.length ? 0xFF : 0);
+    case 3:
+      if (!this.input.length) return this.wait();
+      return this.result(this.input.shift() & 0x7f);
+    case 4:
+      this.putchar(c & 0x7f);
+      return true;
+    case 5:
+      if (this.options.list) this.options.list(c);
+      return true;
+    case 6:
+      if (this.options.punch) this.options.punch(c);
+      return true;
+    case 7: return this.result(0x1A);
+    case 9:
+      // No disk parameter headers, the disks are only used through the
+      // BDOS.
+      return this.result(0);
+    case 12:
+      this.dma = cpu.bc();
+      return true;
+    case 13:
+    case 14: return this.result(1);
+    case 15: return this.result(0xFF);
+    case 16: return this.result(cpu.bc());
+    default:
+      // 8 (HOME), 10 (SETTRK), 11 (SETSEC).
+      return true;
+  }
+}
+
+// Fills the FCB at addr from "D:NAME.TYP", * becomes ?.
+CPM.prototype.parse_fcb = function(addr, text) {
+  const mem = this.memory;
+  var drive = 0;
+  if (/^[A-P]:/i.test(text)) {
+    drive = text.toUpperCase().charCodeAt(0) - 64;
+    text = text.substring(2);
+  }
+  const dot = text.indexOf(".");
+  const field = function(s, size) {
+    s = s.toUpperCase();
+    const star = s.indexOf("*");
+    if (star >= 0) s = s.substring(0, star) + "?".repeat(size);
+    return (s + " ".repeat(size)).substring(0, size);
+  };
+  const name = field(dot < 0 ? text : text.substring(0, dot), 8) +
+               field(dot < 0 ? "" : text.substring(dot + 1), 3);
+  mem.write(addr, drive);
+  for (var i = 0; i < 11; ++i) mem.write(addr + 1 + i, name.charCodeAt(i));
+  for (var i = 12; i < 16; ++i) mem.write(addr + i, 0);
+}
+
+// The 11 name characters of the FCB at addr.
+CPM.prototype.fcb_name = function(addr) {
+  var name = "";
+  for (var i = 1; i <= 11; ++i)
+    name += String.fromCharCode(this.memory.read(addr + i) & 0x7f);
+  return name;
+}
+
+// "NAME.TYP" from the 11 characters and back.
+CPM.prototype.file_name = function(name11) {
+  const name = name11.substring(0, 8).trim();
+  const type = name11.substring(8).trim();
+  return type.length ? name + "." + type : name;
+}
+
+CPM.prototype.name11 = function(name) {
+  const dot = name.indexOf(".");
+  const base = dot < 0 ? name : name.substring(0, dot);
+  const type = dot < 0 ? "" : name.substring(dot + 1);
+  if (!base.length || base.length > 8 || type.length > 3 ||
+      /[^A-Z0-9!#$%&'()\-@^_`{}~]/.test(base + type)) return null;
+  return (base + "        ").substring(0, 8) + (type + "   ").substring(0, 3);
+}
+
+// The drive letter of the FCB or null if the drive does not exist.
+CPM.prototype.fcb_drive = function(addr) {
+  const dr = this.memory.read(addr);
+  const letter = String.fromCharCode(65 + (dr && dr != 0x3F ? dr - 1 : this.drive));
+  return this.drives[letter] ? letter : null;
+}
+
+// The file names on the drive matching the pattern with ?.
+CPM.prototype.match = function(drive, pattern) {
+  const names = this.drives[drive].list().map(function(name) {
+    return name.toUpperCase();
+  }).sort();
+  var found = [];
+  for (var i = 0; i < names.length; ++i) {
+    const name11 = this.name11(names[i]);
+    if (name11 === null) continue;
+    var ok = true;
+    for (var j = 0; j < 11 && ok; ++j)
+      ok = pattern[j] == "?" || pattern[j] == name11[j];
+    if (ok) found.push(name11);
+  }
+  return found;
+}
+
+// The cached file, read from the drive at the first access. With
+// create the missing file is created empty.
+CPM.prototype.file = function(drive, name, create) {
+  const key = drive + ":" + name;
+  var file = this.files[key];
+  if (file !== undefined) return file;
+  var data = this.drives[drive].read(name);
+  if (data === null || data === undefined) {
+    if (!create) return null;
+    data = new Uint8Array(0);
+  }
+  file = { drive: drive, name: name, data: new Uint8Array(data), size: data.length,
+           dirty: false };
+  this.files[key] = file;
+  return file;
+}
+
+CPM.prototype.flush_file = function(file) {
+  if (file.dirty) this.drives[file.drive].write(file.name, file.data.subarray(0, file.size));
+  file.dirty = false;
+}
+
+// Writes the changed files back to the drives.
+CPM.prototype.flush = function() {
+  for (var key in this.files) this.flush_file(this.files[key]);
+  this.files = {};
+}
+
+// The file of the FCB, which must not have wildcards.
+CPM.prototype.fcb_file = function(addr, create) {
+  const drive = this.fcb_drive(addr);
+  const name11 = this.fcb_name(addr);
+  if (drive === null || name11.indexOf("?") >= 0) return null;
+  return this.file(drive, this.file_name(name11), create);
+}
+
+// The record number of the sequential position: S2, EX and CR.
+CPM.prototype.position = function(addr) {
+  const mem = this.memory;
+  return ((mem.read(addr + 14) & 0x3f) * 32 + (mem.read(addr + 12) & 0x1f)) * 128 +
+         (mem.read(addr + 32) & 0xff);
+}
+
+// Sets S2, EX, CR and RC (the records in the extent) for the record.
+CPM.prototype.seek = function(addr, file, record) {
+  const mem = this.memory;
+  const extent = Math.floor(record / 128);
+  const records = Math.ceil(file.size / CPM_RECORD) - extent * 128;
+  mem.write(addr + 12, extent & 0x1f);
+  mem.write(addr + 14, extent >> 5);
+  mem.write(addr + 15, Math.max(0, Math.min(128, records)) & 0xff);
+  mem.write(addr + 32, record & 0x7f);
+}
+
+CPM.prototype.random = function(addr) {
+  const mem = this.memory;
+  return mem.read(addr + 33) | (mem.read(addr + 34) << 8) | (mem.read(addr + 35) << 16);
+}
+
+CPM.prototype.set_random = function(addr, record) {
+  const mem = this.memory;
+  mem.write(addr + 33, record & 0xff);
+  mem.write(addr + 34, (record >> 8) & 0xff);
+  mem.write(addr + 35, (record >> 16) & 0xff);
+}
+
+// Copies the record to the DMA buffer, the last one is padded with ^Z.
+CPM.prototype.read_record = function(file, record) {
+  const offset = record * CPM_RECORD;
+  if (offset >= file.size) return false;
+  for (var i = 0; i < CPM_RECORD; ++i) {
+    this.memory.write(this.dma + i,
+                      offset + i < file.size ? file.data[offset + i] : 0x1A);
+  }
+  return true;
+}
+
+// Writes the DMA buffer to the record, the gap is filled with zeros.
+CPM.prototype.write_record = function(file, record) {
+  const end = (record + 1) * CPM_RECORD;
+  if (end > file.data.length) {
+    const data = new Uint8Array(Math.max(end, file.data.length * 2));
+    data.set(file.data.subarray(0, file.size));
+    file.data = data;
+  }
+  if (end > file.size) {
+    file.data.fill(0, file.size, end);
+    file.size = end;
+  }
+  for (var i = 0; i < CPM_RECORD; ++i)
+    file.data[record * CPM_RECORD + i] = this.memory.read(this.dma + i);
+  file.dirty = true;
+}
+
+CPM.prototype.open = function(addr) {
+  const drive = this.fcb_drive(addr);
+  if (drive === null) return 0xFF;
+  const found = this.match(drive, this.fcb_name(addr));
+  if (!found.length) return 0xFF;
+  for (var i = 0; i < 11; ++i) this.memory.write(addr + 1 + i, found[0].charCodeAt(i));
+  const file = this.file(drive, this.file_name(found[0]), false);
+  if (file === null) return 0xFF;
+  const mem = this.memory;
+  this.seek(addr, file, ((mem.read(addr + 14) & 0x3f) * 32 +
+                         (mem.read(addr + 12) & 0x1f)) * 128 + mem.read(addr + 32));
+  return 0;
+}
+
+CPM.prototype.close = function(addr) {
+  const file = this.fcb_file(addr, false);
+  if (file === null) return 0xFF;
+  this.flush_file(file);
+  return 0;
+}
+
+CPM.prototype.make = function(addr) {
+  const drive = this.fcb_drive(addr);
+  const name11 = this.fcb_name(addr);
+  if (drive === null || name11.indexOf("?") >= 0) return 0xFF;
+  const name = this.file_name(name11);
+  this.drives[drive].write(name, new Uint8Array(0));
+  delete this.files[drive + ":" + name];
+  const file = this.file(drive, name, true);
+  this.seek(addr, file, 0);
+  return 0;
+}
+
+CPM.prototype.remove = function(addr) {
+  const drive = this.fcb_drive(addr);
+  if (drive === null) return 0xFF;
+  const found = this.match(drive, this.fcb_name(addr));
+  for (var i = 0; i < found.length; ++i) {
+    const name = this.file_name(found[i]);
+    delete this.files[drive + ":" + name];
+    this.drives[drive].remove(name);
+  }
+  return found.length ? 0 : 0xFF;
+}
+
+CPM.prototype.rename = function(addr) {
+  const drive = this.fcb_drive(addr);
+  const from = this.fcb_name(addr);
+  var to = "";
+  for (var i = 17; i <= 27; ++i)
+    to += String.fromCharCode(this.memory.read(addr + i) & 0x7f);
+  if (drive === null || !this.match(drive, from).length) return 0xFF;
+  const name = this.file_name(from);
+  const key = drive + ":" + name;
+  if (this.files[key]) this.flush_file(this.files[key]);
+  delete this.files[key];
+  this.drives[drive].rename(name, this.file_name(to));
+  return 0;
+}
+
+// The directory entries of the files matching the FCB: one per extent
+// for ? in EX, else the extents with the number from EX.
+CPM.prototype.search_first = function(addr) {
+  const mem = this.memory;
+  const drive = this.fcb_drive(addr);
+  this.found = [];
+  if (drive === null) return 0xFF;
+  const ex = mem.read(addr + 12);
+  const names = this.match(drive, this.fcb_name(addr));
+  for (var i = 0; i < names.length; ++i) {
+    const file = this.file(drive, this.file_name(names[i]), false);
+    const records = Math.ceil(file.size / CPM_RECORD);
+    const extents = Math.max(1, Math.ceil(records / 128));
+    for (var x = 0; x < extents; ++x) {
+      if (ex != 0x3F && (ex & 0x1f) != x) continue;
+      this.found.push({ name11: names[i], extent: x,
+                        records: Math.min(128, records - x * 128) });
+    }
+  }
+  return this.search_next();
+}
+
+// Puts the next entry to the DMA buffer as entry 0 of the directory
+// record. The blocks are numbered as if the files were contiguous.
+CPM.prototype.search_next = function() {
+  const mem = this.memory;
+  if (!this.found.length) return 0xFF;
+  const entry = this.found.shift();
+  mem.write(this.dma, this.user);
+  for (var i = 0; i < 11; ++i) mem.write(this.dma + 1 + i, entry.name11.charCodeAt(i));
+  mem.write(this.dma + 12, entry.extent & 0x1f);
+  mem.write(this.dma + 13, 0);
+  mem.write(this.dma + 14, entry.extent >> 5);
+  mem.write(this.dma + 15, entry.records);
+  const blocks = Math.ceil(entry.records / 16);
+  for (var i = 0; i < 8; ++i) {
+    const block = i < blocks ? 16 + entry.extent * 8 + i : 0;
+    mem.write(this.dma + 16 + i * 2, block & 0xff);
+    mem.write(this.dma + 17 + i * 2, block >> 8);
+  }
+  for (var i = 32; i < CPM_RECORD; ++i) mem.write(this.dma + i, 0xE5);
+  return 0;
+}
+
+CPM.prototype.read_sequential = function(addr) {
+  const file = this.fcb_file(addr, false);
+  if (file === null) return 9;
+  const record = this.position(addr);
+  if (!this.read_record(file, record)) return 1;
+  this.seek(addr, file, record + 1);
+  return 0;
+}
+
+CPM.prototype.write_sequential = function(addr) {
+  const file = this.fcb_file(addr, true);
+  if (file === null) return 9;
+  const record = this.position(addr);
+  this.write_record(file, record);
+  this.seek(addr, file, record + 1);
+  return 0;
+}
+
+// The random record is not advanced, the sequential position is set to
+// it.
+CPM.prototype.read_random = function(addr) {
+  const file = this.fcb_file(addr, false);
+  if (file === null) return 9;
+  const record = this.random(addr);
+  if (record >= 0x10000) return 6;
+  this.seek(addr, file, record);
+  return this.read_record(file, record) ? 0 : 1;
+}
+
+CPM.prototype.write_random = function(addr) {
+  const file = this.fcb_file(addr, true);
+  if (file === null) return 9;
+  const record = this.random(addr);
+  if (record >= 0x10000) return 6;
+  this.write_record(file, record);
+  this.seek(addr, file, record);
+  return 0;
+}
+
+CPM.prototype.file_size = function(addr) {
+  const file = this.fcb_file(addr, false);
+  if (file === null) return 0xFF;
+  this.set_random(addr, Math.ceil(file.size / CPM_RECORD));
+  return 0;
+}
+
+// A drive in memory: {"NAME.TYP": data}, the data are strings (as the
+// preloaded files) or arrays of bytes.
+/** @constructor */
+function CPM_Directory(files) {
+  this.files = {};
+  for (var name in files || {}) this.write(name, files[name]);
+}
+
+CPM_Directory.prototype.list = function() {
+  return Object.keys(this.files);
+}
+
+CPM_Directory.prototype.read = function(name) {
+  return this.files[name.toUpperCase()] || null;
+}
+
+CPM_Directory.prototype.write = function(name, data) {
+  var bytes = new Uint8Array(data.length);
+  for (var i = 0; i < data.length; ++i)
+    bytes[i] = typeof data === "string" ? data.charCodeAt(i) : data[i];
+  this.files[name.toUpperCase()] = bytes;
+}
+
+CPM_Directory.prototype.remove = function(name) {
+  delete this.files[name.toUpperCase()];
+}
+
+CPM_Directory.prototype.rename = function(from, to) {
+  const data = this.files[from.toUpperCase()];
+  if (data === undefined) return;
+  delete this.files[from.toUpperCase()];
+  this.files[to.toUpperCase()] = data;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.CPM = CPM;
+  module.exports.CPM_Directory = CPM_Directory;
+  module.exports.CPM_BIOS_CALLS = CPM_BIOS_CALLS;
+  module.exports.CPM_RECORD = CPM_RECORD;
+}
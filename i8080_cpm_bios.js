@@ -0,0 +1,304 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// CP/M 2.2 BIOS with disk images, running the CCP and the BDOS of an
+// unmodified CP/M distribution. The cold boot loader reads the CCP and
+// the BDOS from the system tracks of the disk A to the address where
+// they were configured (MOVCPM), the BIOS jump table follows them. The
+// BIOS calls are trapped as in CPM, which provides the console.
+//
+//   var bios = new CPM_BIOS(cpu, { disks: { A: image, B: image2 } });
+//   bios.boot();
+//   bios.type("DIR\r");
+//   bios.run(1000000);                 // the reason is "input" at A>
+//   bios.disks[0].image;               // the disk contents, dirty if written
+//
+// The images are raw, the sectors of 128 bytes in the physical order,
+// track by track. The format is found by the size or given as
+// { image, format }, the name in CPM_DISK_FORMATS or an object with the
+// same fields. The images shorter than the format are padded with E5.
+
+// The CCP and the BDOS take 16 pages, the CCP starts with JMP CCP+35CH.
+const CPM_SYSTEM_SIZE = 0x1600;
+const CPM_CCP_START = 0x35C;
+const CPM_BDOS_OFFSET = 0x806;
+
+// tracks, sectors per track, the first sector number, the sectors of the
+// boot loader before the system, the DPB fields and the skew table.
+const CPM_DISK_FORMATS = {
+  // 8" SSSD, 250K.
+  "ibm-3740": {
+    tracks: 77, spt: 26, first: 1, boot: 1,
+    bsh: 3, blm: 7, exm: 0, dsm: 242, drm: 63, al0: 0xC0, al1: 0x00,
+    cks: 16, off: 2,
+    skew: [1, 7, 13, 19, 25, 5, 11, 17, 23, 3, 9, 15, 21,
+           2, 8, 14, 20, 26, 6, 12, 18, 24, 4, 10, 16, 22]
+  },
+  // The 4M hard disk of z80pack, no system tracks.
+  "4mb-hd": {
+    tracks: 255, spt: 128, first: 0, boot: 0,
+    bsh: 4, blm: 15, exm: 0, dsm: 2039, drm: 1023, al0: 0xFF, al1: 0xFF,
+    cks: 0, off: 0,
+    skew: null
+  }
+};
+
+/** @constructor */
+function CPM_BIOS(cpu, options) {
+  CPM.call(this, cpu, options);
+  this.bdos_entry = -1;
+  this.bios_traps = -1;
+  this.bios_base = null;
+  this.ccp = null;
+
+  // [drive] = { image, format, dph, dirty }.
+  this.disks = [];
+  const disks = this.options.disks || {};
+  for (var letter in disks) {
+    const n = letter.toUpperCase().charCodeAt(0) - 65;
+    if (n < 0 || n > 15) throw("Invalid drive: " + letter);
+    this.disks[n] = this.disk_image(disks[letter]);
+  }
+
+  this.reset();
+}
+
+CPM_BIOS.prototype = Object.create(CPM.prototype);
+
+CPM_BIOS.prototype.disk_image = function(disk) {
+  var image = disk.image || disk;
+  var format = disk.format || null;
+  if (format === null) {
+    for (var name in CPM_DISK_FORMATS) {
+      const f = CPM_DISK_FORMATS[name];
+      if (f.tracks * f.spt * CPM_RECORD == image.length) format = name;
+    }
+    if (format === null)
+      throw("Unknown disk format, " + image.length + " bytes");
+  }
+  if (typeof format === "string") {
+    if (!CPM_DISK_FORMATS[format]) throw("Unknown disk format: " + format);
+    format = CPM_DISK_FORMATS[format];
+  }
+  const size = format.tracks * format.spt * CPM_RECORD;
+  var data = new Uint8Array(size);
+  data.fill(0xE5);
+  for (var i = 0; i < image.length && i < size; ++i)
+    data[i] = typeof image === "string" ? image.charCodeAt(i) : image[i];
+  return { image: data, format: format, dph: 0, dirty: false };
+}
+
+// The disk, the track, the sector and the DMA address after the cold
+// boot. The memory is set up by boot() instead of CPM.reset().
+CPM_BIOS.prototype.reset = function() {
+  this.disk = 0;
+  this.track = 0;
+  this.sector = 0;
+  this.dma = 0x80;
+  this.reason = null;
+}
+
+// The CCP and the BDOS from the system tracks of the disk A.
+CPM_BIOS.prototype.system = function() {
+  const disk = this.disks[0];
+  if (!disk) throw("No disk in the drive A");
+  const start = disk.format.boot * CPM_RECORD;
+  if (disk.format.off * disk.format.spt * CPM_RECORD < start + CPM_SYSTEM_SIZE)
+    throw("No system tracks on the disk A");
+  return disk.image.subarray(start, start + CPM_SYSTEM_SIZE);
+}
+
+// The cold boot: loads the system, sets up the BIOS and the zero page
+// and starts the CCP.
+CPM_BIOS.prototype.boot = function() {
+  const system = this.system();
+  var ccp = this.options.ccp;
+  if (ccp === undefined) {
+    ccp = ((system[1] | (system[2] << 8)) - CPM_CCP_START) & 0xffff;
+    if (system[0] != 0xC3 || ccp & 0xff)
+      throw("No CP/M 2.2 system on the disk A");
+  }
+  this.ccp = ccp;
+  this.bios_base = ccp + CPM_SYSTEM_SIZE;
+  this.reset();
+  this.setup();
+  this.iobyte = 0;
+  this.memory.write(0x0003, 0);
+  this.memory.write(0x0004, 0);
+  this.start();
+}
+
+// The warm boot reloads the CCP and the BDOS.
+CPM_BIOS.prototype.warm_boot = function() {
+  this.flush_disks();
+  this.start();
+}
+
+CPM_BIOS.prototype.start = function() {
+  const mem = this.memory;
+  const system = this.system();
+  for (var i = 0; i < system.length; ++i) mem.write(this.ccp + i, system[i]);
+
+  const jmp = function(addr, target) {
+    mem.write(addr, 0xC3);
+    mem.write(addr + 1, target & 0xff);
+    mem.write(addr + 2, target >> 8);
+  };
+  jmp(0x0000, this.bios_base + 3);
+  jmp(0x0005, this.ccp + CPM_BDOS_OFFSET);
+  this.dma = 0x80;
+
+  const cpu = this.cpu;
+  cpu.sp = 0x80;
+  cpu.set_c(mem.read(0x0004));
+  cpu.jump(this.ccp);
+}
+
+// The BIOS in memory: the jump table to the trapped addresses at +40H,
+// the directory buffer at +80H, then the disk parameter headers, the
+// DPBs, the skew tables, the check and the allocation vectors.
+CPM_BIOS.prototype.setup = function() {
+  const mem = this.memory;
+  const base = this.bios_base;
+  this.bios_traps = base + 0x40;
+  for (var n = 0; n < CPM_BIOS_CALLS; ++n) {
+    mem.write(base + n * 3, 0xC3);
+    mem.write(base + n * 3 + 1, (this.bios_traps + n) & 0xff);
+    mem.write(base + n * 3 + 2, (this.bios_traps + n) >> 8);
+    mem.write(this.bios_traps + n, 0xC9);
+  }
+  const dirbuf = base + 0x80;
+
+  var addr = base + 0x100;
+  const word = function(a, w) {
+    mem.write(a, w & 0xff);
+    mem.write(a + 1, (w >> 8) & 0xff);
+  };
+  for (var drive = 0; drive < this.disks.length; ++drive) {
+    const disk = this.disks[drive];
+    if (!disk) continue;
+    const f = disk.format;
+    const dph = addr;
+    const dpb = dph + 16;
+    const xlt = dpb + 16;
+    const csv = xlt + (f.skew ? f.skew.length : 0);
+    const alv = csv + f.cks;
+    addr = alv + (f.dsm >> 3) + 1;
+    if (addr > 0x10000) throw("The BIOS does not fit in the memory");
+
+    word(dph, f.skew ? xlt : 0);
+    for (var i = 2; i < 8; ++i) mem.write(dph + i, 0);
+    word(dph + 8, dirbuf);
+    word(dph + 10, dpb);
+    word(dph + 12, csv);
+    word(dph + 14, alv);
+
+    word(dpb, f.spt);
+    mem.write(dpb + 2, f.bsh);
+    mem.write(dpb + 3, f.blm);
+    mem.write(dpb + 4, f.exm);
+    word(dpb + 5, f.dsm);
+    word(dpb + 7, f.drm);
+    mem.write(dpb + 9, f.al0);
+    mem.write(dpb + 10, f.al1);
+    word(dpb + 11, f.cks);
+    word(dpb + 13, f.off);
+    for (var i = 0; f.skew && i < f.skew.length; ++i) mem.write(xlt + i, f.skew[i]);
+    disk.dph = dph;
+  }
+}
+
+CPM_BIOS.prototype.bios = function(n) {
+  const cpu = this.cpu;
+  switch (n) {
+    case 0:
+      this.boot();
+      return true;
+    case 1:
+      this.warm_boot();
+      return true;
+    case 8:
+      this.track = 0;
+      return true;
+    case 9: return this.result(this.select(cpu.c()));
+    case 10:
+      this.track = cpu.bc();
+      return true;
+    case 11:
+      this.sector = cpu.bc();
+      return true;
+    case 13: return this.result(this.transfer(false));
+    case 14: return this.result(this.transfer(true));
+    case 16: return this.result(this.translate(cpu.bc(), cpu.de()));
+    default:
+      return CPM.prototype.bios.call(this, n);
+  }
+}
+
+// Returns the DPH address of the drive or 0 if there is no disk.
+CPM_BIOS.prototype.select = function(drive) {
+  const disk = this.disks[drive];
+  if (!disk) return 0;
+  this.disk = drive;
+  return disk.dph;
+}
+
+// The physical sector of the logical one by the skew table at xlt, the
+// sectors are numbered from the first one of the format without it.
+CPM_BIOS.prototype.translate = function(sector, xlt) {
+  if (xlt) return this.memory.read(xlt + sector);
+  const disk = this.disks[this.disk];
+  return sector + (disk ? disk.format.first : 0);
+}
+
+// Reads or writes the sector at the DMA address. Returns 0 or 1 for an
+// error.
+CPM_BIOS.prototype.transfer = function(write) {
+  const disk = this.disks[this.disk];
+  if (!disk) return 1;
+  const f = disk.format;
+  const sector = this.sector - f.first;
+  if (this.track >= f.tracks || sector < 0 || sector >= f.spt) return 1;
+  const offset = (this.track * f.spt + sector) * CPM_RECORD;
+  for (var i = 0; i < CPM_RECORD; ++i) {
+    const addr = (this.dma + i) & 0xffff;
+    if (write) disk.image[offset + i] = this.memory.read(addr);
+    else this.memory.write(addr, disk.image[offset + i]);
+  }
+  if (write) disk.dirty = true;
+  return 0;
+}
+
+// Calls options.save(drive, image) for the written disks.
+CPM_BIOS.prototype.flush_disks = function() {
+  for (var n = 0; n < this.disks.length; ++n) {
+    const disk = this.disks[n];
+    if (!disk || !disk.dirty) continue;
+    if (this.options.save) this.options.save(String.fromCharCode(65 + n), disk.image);
+    disk.dirty = false;
+  }
+}
+
+// The disks are flushed instead of the files of CPM.
+CPM_BIOS.prototype.flush = function() {
+  this.flush_disks();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.CPM_BIOS = CPM_BIOS;
+}
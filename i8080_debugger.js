@@ -0,0 +1,280 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Debugger attached to an I8080 (or I8085) instance.
+//
+//   var dbg = new Debugger(cpu);
+//   dbg.set_breakpoint(0x0120);
+//   dbg.set_breakpoint(0x0200, "a == 0 && zf");
+//   dbg.set_watchpoint("write", 0x4000, 0x100);
+//   dbg.set_watchpoint("out", 0x10, 1, "value & 0x80");
+//   var r = dbg.run(1000000);   // r.reason - "breakpoint", "watchpoint", ...
+//   dbg.step();
+//   dbg.step_over();
+//   dbg.step_out();
+//
+// The conditions are JavaScript expressions of the registers a, b, c, d,
+// e, h, l, bc, de, hl, sp, pc, the flags sf, zf, hf, pf, cf, iff, and for
+// the watchpoints addr and value, or functions(cpu, addr, value).
+//
+// The watchpoints are checked in memory_read_byte/memory_write_byte and
+// io_input/io_output of the CPU, which the debugger replaces in the CPU
+// instance until detach(). The read watchpoints also see the opcode and
+// operand fetches. The CPU stops after the instruction which has hit
+// the watchpoint.
+
+// The default budget of step_over() and step_out(), one second of the
+// 2 MHz CPU. The step stops with the reason "cycles" if the subroutine
+// does not return by then.
+const DEBUGGER_STEP_CYCLES = 2000000;
+
+const DEBUGGER_VARIABLES = [
+  "a", "b", "c", "d", "e", "h", "l", "bc", "de", "hl", "sp", "pc",
+  "sf", "zf", "hf", "pf", "cf", "iff", "addr", "value"
+];
+
+/** @constructor */
+function Debugger(cpu) {
+  this.cpu = cpu;
+  this.breakpoints = {};
+  this.watchpoints = [];
+  this.next_id = 1;
+
+  // The address of the current instruction and the reason of the stop.
+  this.pc = cpu.pc;
+  this.hit = null;
+
+  // Opcode classes for step_over() and step_out().
+  this.lengths = [];
+  this.calls = [];
+  this.rets = [];
+  const options = cpu.disasm_options();
+  const rets = ["RET", "RET?", "RNZ", "RZ", "RNC", "RC", "RPO", "RPE",
+                "RP", "RM"];
+  for (var opcode = 0; opcode < 0x100; ++opcode) {
+    const instr = I8080_disasm([opcode, 0, 0], options);
+    this.lengths[opcode] = instr.length;
+    this.calls[opcode] = instr.call;
+    this.rets[opcode] = rets.indexOf(instr.cmd) >= 0;
+  }
+
+  this.attach();
+}
+
+Debugger.prototype.attach = function() {
+  const that = this;
+  const cpu = this.cpu;
+  const instruction = cpu.instruction;
+  const memory_read_byte = cpu.memory_read_byte;
+  const memory_write_byte = cpu.memory_write_byte;
+  const io_input = cpu.io_input;
+  const io_output = cpu.io_output;
+  this.saved = cpu.save_methods(["instruction", "memory_read_byte",
+                                 "memory_write_byte", "io_input", "io_output"]);
+
+  cpu.instruction = function() {
+    that.pc = cpu.pc;
+    return instruction.call(cpu);
+  };
+  cpu.memory_read_byte = function(addr, stackrq) {
+    const w8 = memory_read_byte.call(cpu, addr, stackrq);
+    if (that.watchpoints.length)
+      that.check_watchpoint("read", addr & 0xffff, w8);
+    return w8;
+  };
+  cpu.memory_write_byte = function(addr, w8, stackrq) {
+    memory_write_byte.call(cpu, addr, w8, stackrq);
+    if (that.watchpoints.length)
+      that.check_watchpoint("write", addr & 0xffff, w8 & 0xff);
+  };
+  cpu.io_input = function(port) {
+    const w8 = io_input.call(cpu, port);
+    if (that.watchpoints.length)
+      that.check_watchpoint("in", port & 0xff, w8);
+    return w8;
+  };
+  cpu.io_output = function(port, w8) {
+    io_output.call(cpu, port, w8);
+    if (that.watchpoints.length)
+      that.check_watchpoint("out", port & 0xff, w8 & 0xff);
+  };
+}
+
+// Restores the CPU methods.
+Debugger.prototype.detach = function() {
+  this.cpu.restore_methods(this.saved);
+}
+
+// Converts a condition to function(cpu, addr, value), null stays null.
+Debugger.prototype.compile = function(condition) {
+  if (condition === undefined || condition === null) return null;
+  if (typeof condition === "function") return condition;
+  var f;
+  try {
+    f = new Function(DEBUGGER_VARIABLES.join(", "),
+                     "return (" + condition + ");");
+  } catch (e) {
+    throw("Invalid condition: " + condition);
+  }
+  return function(cpu, addr, value) {
+    const r = cpu.regs;
+    return f(r[7], r[0], r[1], r[2], r[3], r[4], r[5],
+             (r[0] << 8) | r[1], (r[2] << 8) | r[3], (r[4] << 8) | r[5],
+             cpu.sp, cpu.pc,
+             cpu.sf ? 1 : 0, cpu.zf ? 1 : 0, cpu.hf ? 1 : 0,
+             cpu.pf ? 1 : 0, cpu.cf ? 1 : 0, cpu.iff ? 1 : 0,
+             addr, value);
+  };
+}
+
+Debugger.prototype.set_breakpoint = function(addr, condition) {
+  addr &= 0xffff;
+  this.breakpoints[addr] = {
+    addr: addr,
+    condition: condition || null,
+    test: this.compile(condition),
+    hits: 0
+  };
+}
+
+Debugger.prototype.clear_breakpoint = function(addr) {
+  delete this.breakpoints[addr & 0xffff];
+}
+
+// The type is "read", "write", "access" (read or write), "in" or "out".
+// Watches size bytes or ports from addr. Returns the watchpoint id.
+Debugger.prototype.set_watchpoint = function(type, addr, size, condition) {
+  if (["read", "write", "access", "in", "out"].indexOf(type) < 0)
+    throw("Unknown watchpoint type: " + type);
+  const w = {
+    id: this.next_id++,
+    type: type,
+    start: addr,
+    end: addr + (size || 1) - 1,
+    condition: condition || null,
+    test: this.compile(condition),
+    hits: 0
+  };
+  this.watchpoints.push(w);
+  return w.id;
+}
+
+Debugger.prototype.clear_watchpoint = function(id) {
+  for (var i = 0; i < this.watchpoints.length; ++i) {
+    if (this.watchpoints[i].id == id) {
+      this.watchpoints.splice(i, 1);
+      return;
+    }
+  }
+}
+
+Debugger.prototype.check_watchpoint = function(type, addr, value) {
+  for (var i = 0; i < this.watchpoints.length; ++i) {
+    const w = this.watchpoints[i];
+    const access = w.type == "access" && (type == "read" || type == "write");
+    if (w.type != type && !access) continue;
+    if (addr < w.start || addr > w.end) continue;
+    if (w.test !== null && !w.test(this.cpu, addr, value)) continue;
+    w.hits += 1;
+    if (this.hit === null) {
+      this.hit = { reason: "watchpoint", id: w.id, type: type, addr: addr,
+                   value: value, pc: this.pc };
+      this.cpu.request_stop();
+    }
+  }
+}
+
+Debugger.prototype.check_breakpoint = function(addr) {
+  const b = this.breakpoints[addr];
+  if (b === undefined) return false;
+  if (b.test !== null && !b.test(this.cpu, addr, 0)) return false;
+  b.hits += 1;
+  this.hit = { reason: "breakpoint", addr: addr };
+  return true;
+}
+
+// Runs the CPU until a breakpoint or a watchpoint is hit, or until the
+// until() function returns true after an instruction. The options are
+// passed to I8080.run(). Returns the result of run() with the reason
+// replaced by "breakpoint", "watchpoint" or "step" and the details of
+// the hit.
+Debugger.prototype.execute = function(max_cycles, options, until) {
+  const that = this;
+  const cpu = this.cpu;
+  options = options || {};
+  this.hit = null;
+  const result = cpu.run(max_cycles, {
+    halt: options.halt,
+    stop: function() {
+      if (until !== null && until()) {
+        that.hit = { reason: "step" };
+        return true;
+      }
+      return that.check_breakpoint(cpu.pc);
+    }
+  });
+  return this.result(result);
+}
+
+Debugger.prototype.result = function(result) {
+  if (this.hit !== null) {
+    for (var key in this.hit) result[key] = this.hit[key];
+  }
+  return result;
+}
+
+Debugger.prototype.run = function(max_cycles, options) {
+  return this.execute(max_cycles, options, null);
+}
+
+// Executes one instruction.
+Debugger.prototype.step = function() {
+  this.hit = null;
+  const cycles = this.cpu.instruction();
+  // The step reports the watchpoint, its stop request is done with.
+  if (this.hit !== null) this.cpu.stop_requested = false;
+  return this.result({ reason: "step", cycles: cycles });
+}
+
+// Executes one instruction, CALL and RST together with the subroutine.
+// The subroutine runs for at most max_cycles clock cycles.
+Debugger.prototype.step_over = function(max_cycles) {
+  const cpu = this.cpu;
+  const opcode = cpu.memory.read(cpu.pc);
+  if (cpu.isHalted() || !this.calls[opcode]) return this.step();
+  const ret = (cpu.pc + this.lengths[opcode]) & 0xffff;
+  const sp = cpu.sp;
+  return this.execute(max_cycles || DEBUGGER_STEP_CYCLES, null, function() {
+    return cpu.pc == ret && cpu.sp >= sp;
+  });
+}
+
+// Runs until the return from the current subroutine, i.e. the RET
+// which takes the stack pointer above its current value.
+Debugger.prototype.step_out = function(max_cycles) {
+  const cpu = this.cpu;
+  const rets = this.rets;
+  const sp = cpu.sp;
+  return this.execute(max_cycles || DEBUGGER_STEP_CYCLES, null, function() {
+    return rets[cpu.last_opcode] && cpu.sp > sp;
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.Debugger = Debugger;
+}
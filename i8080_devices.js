@@ -0,0 +1,467 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Peripheral chips of the 8080 machines. They are mapped into the memory
+// (Memory.map_device) or called from the IO object with the register
+// number: read(offset), write(offset, w8).
+
+// Intel 8255 programmable peripheral interface, mode 0 only. The input
+// ports are read by options.input(port) (0 - A, 1 - B, 2 - C), the
+// written outputs are passed to options.output(port, value). For the
+// port C the input and the output halves are combined.
+/** @constructor */
+function I8255(options) {
+  this.options = options || {};
+  this.latch = [0, 0, 0];
+  this.control = 0x9B;        // all the ports are inputs after the reset
+}
+
+// The input mask of the port: 0xFF for an input, 0x00 for an output.
+I8255.prototype.inputs = function(port) {
+  const c = this.control;
+  switch (port) {
+    case 0: return c & 0x10 ? 0xFF : 0x00;
+    case 1: return c & 0x02 ? 0xFF : 0x00;
+    default: return (c & 0x08 ? 0xF0 : 0x00) | (c & 0x01 ? 0x0F : 0x00);
+  }
+}
+
+I8255.prototype.read = function(offset) {
+  const port = offset & 3;
+  if (port == 3) return 0xFF;
+  const mask = this.inputs(port);
+  const input = mask && this.options.input ? this.options.input(port) & 0xff : 0xFF;
+  return (input & mask) | (this.latch[port] & ~mask & 0xff);
+}
+
+I8255.prototype.write = function(offset, w8) {
+  const port = offset & 3;
+  if (port < 3) {
+    this.latch[port] = w8 & 0xff;
+    this.output(port);
+  } else if (w8 & 0x80) {
+    // The mode set clears the outputs.
+    this.control = w8 & 0xff;
+    this.latch = [0, 0, 0];
+    for (var i = 0; i < 3; ++i) this.output(i);
+  } else {
+    // Sets or resets a bit of the port C.
+    const bit = 1 << ((w8 >> 1) & 7);
+    this.latch[2] = w8 & 1 ? this.latch[2] | bit : this.latch[2] & ~bit;
+    this.output(2);
+  }
+}
+
+I8255.prototype.output = function(port) {
+  const mask = ~this.inputs(port) & 0xff;
+  if (mask && this.options.output) this.options.output(port, this.latch[port] & mask);
+}
+
+// Intel 8257 DMA controller. The devices take the bytes from the memory
+// by read_memory(channel) and put them by write_memory(channel, w8), both
+// return null when the channel is not enabled. With the autoload the
+// registers of the channel 3 are copied to the channel 2 after its
+// terminal count.
+/** @constructor */
+function I8257(memory) {
+  this.memory = memory;
+  this.channels = [];
+  for (var n = 0; n < 4; ++n) this.channels.push({ addr: 0, count: 0, base: 0, base_count: 0 });
+  this.mode = 0;
+  this.status = 0;
+  this.flip = false;
+}
+
+I8257.prototype.write = function(offset, w8) {
+  offset &= 0x0f;
+  if (offset == 8) {
+    this.mode = w8 & 0xff;
+    this.flip = false;
+    return;
+  }
+  if (offset > 8) return;
+  this.set_register(offset >> 1, offset & 1, w8);
+  if (this.mode & 0x80 && (offset >> 1) == 2) this.set_register(3, offset & 1, w8);
+  this.flip = !this.flip;
+}
+
+I8257.prototype.set_register = function(n, count, w8) {
+  const ch = this.channels[n];
+  const name = count ? "count" : "addr";
+  const value = this.flip ? (ch[name] & 0xff) | ((w8 & 0xff) << 8) :
+                            (ch[name] & 0xff00) | (w8 & 0xff);
+  ch[name] = value;
+  ch[count ? "base_count" : "base"] = value;
+}
+
+// The status (the terminal counts, cleared by the read) or the current
+// address and count.
+I8257.prototype.read = function(offset) {
+  offset &= 0x0f;
+  if (offset == 8) {
+    const status = this.status;
+    this.status &= ~0x0f;
+    return status;
+  }
+  if (offset > 8) return 0xFF;
+  const ch = this.channels[offset >> 1];
+  const value = offset & 1 ? ch.count : ch.addr;
+  const w8 = this.flip ? value >> 8 : value & 0xff;
+  this.flip = !this.flip;
+  return w8;
+}
+
+I8257.prototype.enabled = function(n) {
+  return (this.mode & (1 << n)) != 0;
+}
+
+// Transfers a byte from the memory to the device of the channel.
+I8257.prototype.read_memory = function(n) {
+  if (!this.enabled(n)) return null;
+  const ch = this.channels[n];
+  const w8 = this.memory.read(ch.addr);
+  this.advance(n);
+  return w8;
+}
+
+// Transfers a byte from the device to the memory.
+I8257.prototype.write_memory = function(n, w8) {
+  if (!this.enabled(n)) return null;
+  this.memory.write(this.channels[n].addr, w8);
+  this.advance(n);
+  return w8;
+}
+
+// The count register keeps the number of bytes - 1 in the low 14 bits.
+I8257.prototype.advance = function(n) {
+  const ch = this.channels[n];
+  ch.addr = (ch.addr + 1) & 0xffff;
+  const left = ch.count & 0x3fff;
+  ch.count = (ch.count & 0xc000) | ((left - 1) & 0x3fff);
+  if (left) return;
+  this.status |= 1 << n;
+  if (n == 2 && this.mode & 0x80) {
+    const ch3 = this.channels[3];
+    ch.addr = ch3.base;
+    ch.count = ch3.base_count;
+  } else if (this.mode & 0x40) {
+    this.mode &= ~(1 << n);
+  }
+}
+
+// Intel 8275 CRT controller. The characters of the frame are fetched
+// from the DMA by frame(fetch) into chars with the field attributes in
+// attrs, rows x cols. The line timing is not emulated, the DMA bursts
+// read whole rows.
+/** @constructor */
+function I8275() {
+  this.cols = 80;
+  this.rows = 25;
+  this.lines = 10;
+  this.underline = 9;
+  this.transparent = true;
+  this.cursor_format = 0;
+  this.cursor = { x: 0, y: 0 };
+
+  this.command = 0;
+  this.params = [];
+  this.expected = 0;
+
+  this.displaying = false;
+  this.interrupt_enabled = false;
+  this.status = 0;
+
+  this.chars = new Uint8Array(this.cols * this.rows);
+  this.attrs = new Uint8Array(this.cols * this.rows);
+}
+
+const I8275_IE = 0x40;
+const I8275_IR = 0x20;
+const I8275_LP = 0x10;
+const I8275_IC = 0x08;
+const I8275_VE = 0x04;
+const I8275_DU = 0x02;
+const I8275_FO = 0x01;
+
+// Offset 1 is the command and the status, 0 is the parameters.
+I8275.prototype.write = function(offset, w8) {
+  w8 &= 0xff;
+  if (offset & 1) {
+    this.command = w8 & 0xe0;
+    this.params = [];
+    this.expected = 0;
+    switch (this.command) {
+      case 0x00:              // reset
+        this.displaying = false;
+        this.interrupt_enabled = false;
+        this.expected = 4;
+        break;
+      case 0x20:              // start display
+        this.displaying = true;
+        this.interrupt_enabled = true;
+        break;
+      case 0x40:              // stop display
+        this.displaying = false;
+        break;
+      case 0x80:              // load cursor position
+        this.expected = 2;
+        break;
+      case 0xA0:
+        this.interrupt_enabled = true;
+        break;
+      case 0xC0:
+        this.interrupt_enabled = false;
+        break;
+    }
+    return;
+  }
+  if (this.params.length >= this.expected) {
+    this.status |= I8275_IC;
+    return;
+  }
+  this.params.push(w8);
+  if (this.params.length < this.expected) return;
+  const p = this.params;
+  if (this.command == 0x00) {
+    this.cols = (p[0] & 0x7f) + 1;
+    this.rows = (p[1] & 0x3f) + 1;
+    this.lines = (p[2] & 0x0f) + 1;
+    this.underline = p[2] >> 4;
+    this.transparent = (p[3] & 0x40) == 0;
+    this.cursor_format = (p[3] >> 4) & 3;
+    this.chars = new Uint8Array(this.cols * this.rows);
+    this.attrs = new Uint8Array(this.cols * this.rows);
+  } else if (this.command == 0x80) {
+    this.cursor = { x: p[0] & 0x7f, y: p[1] & 0x3f };
+  }
+}
+
+// The status read clears IR and IC.
+I8275.prototype.read = function(offset) {
+  if (!(offset & 1)) return 0;
+  const status = this.status | (this.interrupt_enabled ? I8275_IE : 0) |
+                 (this.displaying ? I8275_VE : 0);
+  this.status &= ~(I8275_IR | I8275_IC | I8275_DU | I8275_FO);
+  return status;
+}
+
+// Fills the frame by fetch() returning the next byte from the DMA or
+// null. The codes 80-BF are the field attributes, F0-F3 end the row
+// (F0, F1) or the screen (F2, F3). At the end the interrupt request is
+// set. Returns false if the display is stopped.
+I8275.prototype.frame = function(fetch) {
+  this.chars.fill(0);
+  this.attrs.fill(0);
+  if (!this.displaying) return false;
+
+  var attr = 0;
+  var end_of_screen = false;
+  for (var row = 0; row < this.rows && !end_of_screen; ++row) {
+    for (var col = 0; col < this.cols; ) {
+      const w8 = fetch();
+      if (w8 === null) {
+        this.status |= I8275_DU;
+        end_of_screen = true;
+        break;
+      }
+      if (w8 >= 0xF0) {
+        if (w8 & 0x02) end_of_screen = true;
+        break;
+      }
+      if ((w8 & 0xC0) == 0x80) {
+        attr = w8 & 0x3f;
+        if (this.transparent) continue;
+        this.attrs[row * this.cols + col] = attr;
+        col += 1;
+        continue;
+      }
+      this.chars[row * this.cols + col] = w8;
+      this.attrs[row * this.cols + col] = attr;
+      col += 1;
+    }
+  }
+  if (this.interrupt_enabled) this.status |= I8275_IR;
+  return true;
+}
+
+// The character codes of the row.
+I8275.prototype.row = function(n) {
+  return this.chars.subarray(n * this.cols, (n + 1) * this.cols);
+}
+
+// Intel 8253 programmable interval timer. The counters are advanced by
+// clock(ticks), the gates are always high, so the modes 1 and 5 are
+// never triggered. The outputs are in out[n]. The BCD counting is not
+// supported. Offsets 0-2 are the counters, 3 is the control word.
+/** @constructor */
+function I8253() {
+  this.counters = [];
+  for (var n = 0; n < 3; ++n)
+    this.counters.push({ mode: 0, rw: 3, reload: 0, count: 0, running: false,
+                         armed: false, latch: null, read_high: false,
+                         write_high: false });
+  this.out = [1, 1, 1];
+}
+
+I8253.prototype.write = function(offset, w8) {
+  w8 &= 0xff;
+  if ((offset & 3) == 3) {
+    const n = w8 >> 6;
+    if (n == 3) return;
+    const c = this.counters[n];
+    const rw = (w8 >> 4) & 3;
+    if (rw == 0) {
+      if (c.latch === null) c.latch = c.count;
+      return;
+    }
+    c.rw = rw;
+    c.mode = (w8 >> 1) & 7;
+    if (c.mode > 5) c.mode -= 4;
+    c.running = false;
+    c.read_high = c.write_high = false;
+    c.latch = null;
+    this.out[n] = c.mode == 0 ? 0 : 1;
+    return;
+  }
+  const n = offset & 3;
+  const c = this.counters[n];
+  if (c.rw == 1 || (c.rw == 3 && !c.write_high)) {
+    c.reload = (c.reload & 0xff00) | w8;
+    if (c.rw == 3) {
+      c.write_high = true;
+      return;
+    }
+  } else {
+    c.reload = (c.reload & 0x00ff) | (w8 << 8);
+    c.write_high = false;
+  }
+  c.count = c.mode == 3 ? this.half(c, 1) : c.reload || 0x10000;
+  c.running = true;
+  c.armed = true;
+  if (c.mode == 0) this.out[n] = 0;
+}
+
+// The square wave of an odd count is high one tick longer than low.
+// Counted by 2, so the count for the half is doubled.
+I8253.prototype.half = function(c, high) {
+  const count = c.reload || 0x10000;
+  return high ? count + (count & 1) : count - (count & 1);
+}
+
+// Reads the latched or the current count.
+I8253.prototype.read = function(offset) {
+  const n = offset & 3;
+  if (n == 3) return 0xFF;
+  const c = this.counters[n];
+  const value = (c.latch !== null ? c.latch : c.count) & 0xffff;
+  var w8;
+  if (c.rw == 1) w8 = value & 0xff;
+  else if (c.rw == 2) w8 = value >> 8;
+  else {
+    w8 = c.read_high ? value >> 8 : value & 0xff;
+    c.read_high = !c.read_high;
+  }
+  if (c.rw != 3 || !c.read_high) c.latch = null;
+  return w8;
+}
+
+I8253.prototype.clock = function(ticks) {
+  for (var n = 0; n < 3; ++n) {
+    const c = this.counters[n];
+    if (!c.running) continue;
+    for (var i = 0; i < ticks; ++i) this.tick(n, c);
+  }
+}
+
+I8253.prototype.tick = function(n, c) {
+  switch (c.mode) {
+    case 0:                   // interrupt on the terminal count
+      c.count = (c.count - 1) & 0xffff;
+      if (c.count == 0) this.out[n] = 1;
+      break;
+    case 2:                   // rate generator
+      if (--c.count == 1) this.out[n] = 0;
+      else if (c.count == 0) {
+        this.out[n] = 1;
+        c.count = c.reload || 0x10000;
+      }
+      break;
+    case 3:                   // square wave
+      c.count -= 2;
+      if (c.count <= 0) {
+        this.out[n] ^= 1;
+        c.count = this.half(c, this.out[n]);
+      }
+      break;
+    case 4:                   // software triggered strobe, once
+      c.count = (c.count - 1) & 0xffff;
+      if (this.out[n] == 0) this.out[n] = 1;
+      if (c.count == 0 && c.armed) {
+        this.out[n] = 0;
+        c.armed = false;
+      }
+      break;
+  }
+}
+
+// Motorola 6850 ACIA, the serial port of the MITS 88-2SIO. The received
+// bytes are queued by receive(data), a string or bytes, the transmitted
+// ones are passed to options.output(w8). Offset 0 is the status and the
+// control, 1 is the data. The interrupts are not emulated.
+/** @constructor */
+function MC6850(options) {
+  this.options = options || {};
+  this.control = 0;
+  this.received = [];
+}
+
+const MC6850_RDRF = 0x01;
+const MC6850_TDRE = 0x02;
+
+MC6850.prototype.receive = function(data) {
+  for (var i = 0; i < data.length; ++i)
+    this.received.push(typeof data === "string" ? data.charCodeAt(i) & 0xff : data[i]);
+}
+
+MC6850.prototype.ready = function() {
+  return this.received.length > 0;
+}
+
+MC6850.prototype.read = function(offset) {
+  if (!(offset & 1)) return MC6850_TDRE | (this.ready() ? MC6850_RDRF : 0);
+  return this.ready() ? this.received.shift() : 0;
+}
+
+// The queue stands for the terminal, so the master reset (the control
+// value 03) keeps the typed ahead bytes.
+MC6850.prototype.write = function(offset, w8) {
+  w8 &= 0xff;
+  if (offset & 1) {
+    if (this.options.output) this.options.output(w8);
+  } else {
+    this.control = w8;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.I8255 = I8255;
+  module.exports.I8257 = I8257;
+  module.exports.I8275 = I8275;
+  module.exports.I8253 = I8253;
+  module.exports.MC6850 = MC6850;
+}
@@ -55,11 +55,23 @@ String.prototype.format = function () {
   return o.join('');
 }
 
-I8080_disasm = function (binary) {
+// options.cpu - "8080" (default) or "8085", options.undocumented - decode
+// the undocumented 8085 instructions, options.syntax - "intel" (default)
+// or "zilog" for the text in the Z80 mnemonics (LD A, (HL)).
+//
+// Besides the text, the result tells how the instruction refers to
+// the memory: branch is set for jumps and calls, target is the address
+// they go to (also of RST), call is set for calls and restarts, data1
+// means arg1 is a data address (LDA, STA, LHLD, SHLD), data2 means arg2
+// is a 16-bit immediate (LXI), and value is that 16-bit number. cmd,
+// arg1 and arg2 are the Intel ones with any syntax.
+I8080_disasm = function (binary, options) {
+  options = options || {};
   var opcode = binary[0];
   var imm8 = binary[1];
   var imm16 = imm8 | (binary[2] << 8);
-  var cmd, length, arg1, arg2, code, data1, data2, bad;
+  var cmd, length, arg1, arg2, code, data1, data2, bad, branch;
+  var value = imm16;
 
   var fmt8 = "%02X";
   var fmt16 = "%04X";
@@ -67,7 +79,26 @@ I8080_disasm = function (binary) {
   imm8 = fmt8.format(imm8);
   imm16 = fmt16.format(imm16);
 
-  switch (opcode) {
+  if (options.cpu == "8085") {
+    switch (opcode) {
+      case 0x20: cmd = "RIM";   length = 1; break;
+      case 0x30: cmd = "SIM";   length = 1; break;
+    }
+    if (options.undocumented) switch (opcode) {
+      case 0x08: cmd = "DSUB";  length = 1; break;
+      case 0x10: cmd = "ARHL";  length = 1; break;
+      case 0x18: cmd = "RDEL";  length = 1; break;
+      case 0x28: cmd = "LDHI";  length = 2; arg1 = imm8; break;
+      case 0x38: cmd = "LDSI";  length = 2; arg1 = imm8; break;
+      case 0xcb: cmd = "RSTV";  length = 1; break;
+      case 0xd9: cmd = "SHLX";  length = 1; break;
+      case 0xdd: cmd = "JNK";   length = 3; arg1 = imm16; branch = true; break;
+      case 0xed: cmd = "LHLX";  length = 1; break;
+      case 0xfd: cmd = "JK";    length = 3; arg1 = imm16; branch = true; break;
+    }
+  }
+
+  if (!cmd) switch (opcode) {
     case 0x00: cmd = "NOP";   length = 1; break;
     case 0x08: cmd = "NOP?";  length = 1; bad = true; break;
     case 0x10: cmd = "NOP?";  length = 1; bad = true; break;
@@ -215,7 +246,7 @@ I8080_disasm = function (binary) {
     case 0x7c: cmd = "MOV";   length = 1; arg1 = "A"; arg2 = "H"; break;
     case 0x7d: cmd = "MOV";   length = 1; arg1 = "A"; arg2 = "L"; break;
     case 0x7e: cmd = "MOV";   length = 1; arg1 = "A"; arg2 = "M"; break;
-    case 0x7f: cmd = "MOV";   length = 1; arg1 = "M"; arg2 = "M"; break;
+    case 0x7f: cmd = "MOV";   length = 1; arg1 = "A"; arg2 = "A"; break;
 
     case 0x80: cmd = "ADD";   length = 1; arg1 = "B"; break;
     case 0x81: cmd = "ADD";   length = 1; arg1 = "C"; break;
@@ -328,7 +359,7 @@ I8080_disasm = function (binary) {
     case 0xe0: cmd = "RPO";   length = 1; break;
     case 0xe1: cmd = "POP";   length = 1; arg1 = "H"; break;
     case 0xe2: cmd = "JPO";   length = 3; arg1 = imm16; branch = true; break;
-    case 0xe3: cmd = "XTXL";  length = 1; break;
+    case 0xe3: cmd = "XTHL";  length = 1; break;
     case 0xe4: cmd = "CPO";   length = 3; arg1 = imm16; branch = true; break;
     case 0xe5: cmd = "PUSH";  length = 1; arg1 = "H"; break;
     case 0xe6: cmd = "ANI";   length = 2; arg1 = imm8; break;
@@ -364,10 +395,387 @@ I8080_disasm = function (binary) {
   var text = cmd;
   if (arg1) text += " " + arg1;
   if (arg2) text += ", " +arg2;
+  if (options.syntax == "zilog") {
+    var z = I8080_zilog(cmd, [arg1, arg2]);
+    text = z.cmd + (z.args.length ? " " + z.args.join(", ") : "");
+  }
+
+  var target = null;
+  if (branch) target = value;
+  else if (cmd == "RST") target = parseInt(arg1) * 8;
+  else if (cmd == "RSTV") target = 0x40;
+  var call = target !== null && /^(C|RST)/.test(cmd);
 
   return {
     cmd: cmd, length: length, arg1: arg1, arg2: arg2,
     code: code, data1: data1, data2: data2, bad: bad,
+    branch: !!branch, call: call, target: target,
+    value: length == 3 ? value : null,
     text: text
   }
 }
+
+// The Zilog names of the 8080 instructions. In the operands r is a
+// register (M is (HL)), p is a register pair and n is a number, each
+// one takes the next Intel operand.
+const I8080_ZILOG = {
+  MOV:  ["LD", "r,r"],     MVI:  ["LD", "r,n"],     LXI:  ["LD", "p,n"],
+  LDA:  ["LD", "A,(n)"],   STA:  ["LD", "(n),A"],
+  LHLD: ["LD", "HL,(n)"],  SHLD: ["LD", "(n),HL"],
+  LDAX: ["LD", "A,(p)"],   STAX: ["LD", "(p),A"],
+  XCHG: ["EX", "DE,HL"],   XTHL: ["EX", "(SP),HL"],
+  SPHL: ["LD", "SP,HL"],   PCHL: ["JP", "(HL)"],
+  ADD:  ["ADD", "A,r"],    ADC:  ["ADC", "A,r"],    SUB:  ["SUB", "r"],
+  SBB:  ["SBC", "A,r"],    ANA:  ["AND", "r"],      XRA:  ["XOR", "r"],
+  ORA:  ["OR", "r"],       CMP:  ["CP", "r"],
+  ADI:  ["ADD", "A,n"],    ACI:  ["ADC", "A,n"],    SUI:  ["SUB", "n"],
+  SBI:  ["SBC", "A,n"],    ANI:  ["AND", "n"],      XRI:  ["XOR", "n"],
+  ORI:  ["OR", "n"],       CPI:  ["CP", "n"],
+  INR:  ["INC", "r"],      DCR:  ["DEC", "r"],
+  INX:  ["INC", "p"],      DCX:  ["DEC", "p"],      DAD:  ["ADD", "HL,p"],
+  RLC:  ["RLCA", ""],      RRC:  ["RRCA", ""],      RAL:  ["RLA", ""],
+  RAR:  ["RRA", ""],       CMA:  ["CPL", ""],       STC:  ["SCF", ""],
+  CMC:  ["CCF", ""],       HLT:  ["HALT", ""],      JMP:  ["JP", "n"],
+  IN:   ["IN", "A,(n)"],   OUT:  ["OUT", "(n),A"],
+  PUSH: ["PUSH", "p"],     POP:  ["POP", "p"]
+};
+
+// Converts an Intel instruction to the Zilog one: {cmd, args}. The
+// operands are strings, numbers or labels are taken as they are, except
+// the RST number which becomes the address formatted by hex(). The
+// 8085 instructions keep the Intel names.
+I8080_zilog = function(cmd, args, hex) {
+  hex = hex || function(v) { return "%02X".format(v); };
+  args = args.filter(function(arg) { return arg !== undefined; });
+  var bad = /\?$/.test(cmd) ? "?" : "";
+  cmd = cmd.replace(/\?$/, "");
+  var reg = function(r) { return r == "M" ? "(HL)" : r; };
+  var pair = function(p) {
+    return { B: "BC", D: "DE", H: "HL", SP: "SP", PSW: "AF" }[p] || p;
+  };
+
+  var m;
+  if (cmd == "RST")
+    return { cmd: "RST" + bad, args: [hex(parseInt(args[0]) * 8)] };
+  if (m = /^([JCR])(NZ|Z|NC|C|PO|PE|P|M)$/.exec(cmd)) {
+    var op = { J: "JP", C: "CALL", R: "RET" }[m[1]];
+    return { cmd: op + bad, args: [m[2]].concat(args) };
+  }
+  var zilog = I8080_ZILOG[cmd];
+  if (!zilog) return { cmd: cmd + bad, args: args };
+  var i = 0;
+  var operands = zilog[1] ? zilog[1].split(",") : [];
+  return {
+    cmd: zilog[0] + bad,
+    args: operands.map(function(operand) {
+      switch (operand) {
+        case "r": return reg(args[i++]);
+        case "p": return pair(args[i++]);
+        case "n": return args[i++];
+        case "(p)": return "(" + pair(args[i++]) + ")";
+        case "(n)": return "(" + args[i++] + ")";
+      }
+      return operand;
+    })
+  };
+}
+
+// Reads a symbol table: {address: name}. Understands the .SYM files
+// ("0100 START 0109 MSG", the address first), the symbol table at the
+// end of M80 listings (after "Symbols:", "START 0100'" or "0100' START")
+// and "NAME EQU 0100H" or "NAME = $0100" lines as in ZASM listings.
+I8080_parse_symbols = function(text) {
+  var symbols = {};
+  var lines = text.split(/\r?\n/);
+  var hex = /^([0-9A-Fa-f]{4})['"*IH]?$/;
+  var name = /^[A-Za-z_.$?@][\w.$?@]*$/;
+
+  // In a listing only the symbol table is taken.
+  for (var i = 0; i < lines.length; ++i) {
+    if (/^\s*Symbols:?\s*$/i.test(lines[i])) {
+      lines = lines.slice(i + 1);
+      break;
+    }
+  }
+
+  for (var i = 0; i < lines.length; ++i) {
+    var m = /^\s*([A-Za-z_.$?@][\w.$?@]*):?\s+(?:EQU|=)\s+\$?([0-9A-Fa-f]+)H?\b/i
+              .exec(lines[i]);
+    if (m) {
+      symbols[parseInt(m[2], 16) & 0xffff] = m[1];
+      continue;
+    }
+    var tokens = lines[i].trim().split(/\s+/);
+    for (var j = 0; j + 1 < tokens.length; ) {
+      var a = hex.exec(tokens[j]), b = hex.exec(tokens[j + 1]);
+      if (a && name.test(tokens[j + 1])) {
+        symbols[parseInt(a[1], 16)] = tokens[j + 1];
+        j += 2;
+      } else if (b && name.test(tokens[j])) {
+        symbols[parseInt(b[1], 16)] = tokens[j];
+        j += 2;
+      } else {
+        j += 1;
+      }
+    }
+  }
+  return symbols;
+}
+
+// Disassembles the memory from start to end inclusive. The memory is
+// a function(addr) returning a byte or an object with read(addr).
+// Options:
+//   symbols - {address: name}, e.g. from I8080_parse_symbols(),
+//   labels  - false to not generate the labels (Lxxxx for the jump and
+//             call targets, Dxxxx for the data addresses in the range),
+//   cpu, undocumented, syntax - as for I8080_disasm().
+// Returns:
+//   lines   - [{ addr, bytes, label, instr, text }],
+//   labels  - {address: name} of the symbols and generated labels,
+//   xrefs   - {address: [addresses of the instructions referring to it]},
+//   text    - the listing,
+//   xref    - the cross reference of the labels.
+I8080_disasm_range = function(memory, start, end, options) {
+  options = options || {};
+  var read = typeof memory === "function" ? memory :
+             function(addr) { return memory.read(addr); };
+  var symbols = options.symbols || {};
+  var fmt16 = "%04X";
+
+  var lines = [];
+  var xrefs = {};
+  var refer = function(addr, from) {
+    if (!xrefs[addr]) xrefs[addr] = [];
+    xrefs[addr].push(from);
+  };
+
+  for (var addr = start; addr <= end; ) {
+    var bytes = [read(addr & 0xffff), read((addr + 1) & 0xffff),
+                 read((addr + 2) & 0xffff)];
+    var instr = I8080_disasm(bytes, options);
+    bytes.length = instr.length;
+    lines.push({ addr: addr & 0xffff, bytes: bytes, instr: instr });
+    if (instr.target !== null) refer(instr.target, addr & 0xffff);
+    else if (instr.data1 || instr.data2) refer(instr.value, addr & 0xffff);
+    addr += instr.length;
+  }
+
+  // The immediates of LXI get labels only from the symbols, as they
+  // are often just numbers.
+  var labels = {};
+  for (var a in symbols) labels[a] = symbols[a];
+  if (options.labels !== false) {
+    for (var i = 0; i < lines.length; ++i) {
+      var instr = lines[i].instr;
+      var ref = instr.target !== null ? instr.target :
+                instr.data1 ? instr.value : null;
+      if (ref === null || labels[ref] || ref < start || ref > end) continue;
+      labels[ref] = (instr.target !== null ? "L" : "D") + fmt16.format(ref);
+    }
+  }
+  for (var a in xrefs)
+    if (!labels[a]) delete xrefs[a];
+
+  var text = [];
+  // The labels which are not at the start of a line become EQUs.
+  var at_line = {};
+  for (var i = 0; i < lines.length; ++i) at_line[lines[i].addr] = true;
+  for (var a in labels) {
+    if (!at_line[a] && xrefs[a])
+      text.push(" ".repeat(18) + labels[a] + " EQU " + fmt16.format(+a) + "H");
+  }
+
+  for (var i = 0; i < lines.length; ++i) {
+    var line = lines[i];
+    var instr = line.instr;
+    var arg1 = instr.arg1, arg2 = instr.arg2;
+    if ((instr.branch || instr.data1) && labels[instr.value])
+      arg1 = labels[instr.value];
+    if (instr.data2 && labels[instr.value])
+      arg2 = labels[instr.value];
+    var op = instr.cmd;
+    if (arg1) op += " " + arg1;
+    if (arg2) op += ", " + arg2;
+    if (options.syntax == "zilog") {
+      var z = I8080_zilog(instr.cmd, [arg1, arg2]);
+      op = z.cmd + (z.args.length ? " " + z.args.join(", ") : "");
+    }
+
+    var hex = "";
+    for (var j = 0; j < line.bytes.length; ++j)
+      hex += "%02X ".format(line.bytes[j]);
+    line.label = labels[line.addr] || null;
+    var label = line.label ? line.label + ":" : "";
+    line.text = "%04X  %-9s %-9s %s".format(line.addr, hex, label, op);
+    text.push(line.text);
+  }
+
+  var xref = [];
+  var addrs = Object.keys(xrefs).map(Number).sort(function(a, b) { return a - b; });
+  for (var i = 0; i < addrs.length; ++i) {
+    var from = xrefs[addrs[i]].map(function(a) { return fmt16.format(a); });
+    xref.push("%-9s %04X  %s".format(labels[addrs[i]], addrs[i], from.join(" ")));
+  }
+
+  return {
+    lines: lines, labels: labels, xrefs: xrefs,
+    text: text.join("\n"), xref: xref.join("\n")
+  };
+}
+
+// Tracing disassembler producing the source which can be assembled back.
+// The code is found by following the jumps and calls from the entry
+// points: the reset and RST vectors in the range and options.entries
+// (e.g. files[name].entry). The bytes which are not reached become DB
+// (text where it looks like text) or DW for LHLD/SHLD operands. Options
+// are as for I8080_disasm_range(), plus entries. Returns:
+//   code    - [offset from start] = the decoded instruction,
+//   labels  - {address: name},
+//   text    - the source.
+I8080_disasm_source = function(memory, start, end, options) {
+  options = options || {};
+  var read = typeof memory === "function" ? memory :
+             function(addr) { return memory.read(addr); };
+  var inside = function(addr) { return addr >= start && addr <= end; };
+  var hex = function(v, digits) {
+    var s = (digits == 2 ? "%02X" : "%04X").format(v) + "H";
+    return /^[A-F]/.test(s) ? "0" + s : s;
+  };
+
+  var code = [];
+  var owner = [];         // The address of the instruction of a code byte.
+  var targets = {};       // The jump and call targets.
+  var data = {};          // The data references.
+  var words = {};         // The words accessed by LHLD and SHLD.
+
+  var queue = (options.entries || []).slice();
+  for (var v = 0; v <= 0x38; v += 8)
+    if (inside(v)) queue.push(v);
+  if (!queue.length) queue.push(start);
+
+  // The entry points go first, so the vectors inside their code are
+  // not decoded on their own.
+  while (queue.length) {
+    var addr = queue.shift();
+    while (inside(addr) && owner[addr - start] === undefined) {
+      var bytes = [read(addr & 0xffff), read((addr + 1) & 0xffff),
+                   read((addr + 2) & 0xffff)];
+      var instr = I8080_disasm(bytes, options);
+      if (addr + instr.length - 1 > end) break;
+      var overlap = false;
+      for (var i = 1; i < instr.length; ++i)
+        if (owner[addr + i - start] !== undefined) overlap = true;
+      if (overlap) break;
+
+      for (var i = 0; i < instr.length; ++i) owner[addr + i - start] = addr;
+      code[addr - start] = instr;
+      if (instr.target !== null) {
+        targets[instr.target] = true;
+        if (inside(instr.target)) queue.push(instr.target);
+      } else if (instr.data1 || instr.data2) {
+        data[instr.value] = true;
+        if (instr.cmd == "LHLD" || instr.cmd == "SHLD") words[instr.value] = true;
+      }
+      if (["JMP", "JMP?", "RET", "RET?", "PCHL"].indexOf(instr.cmd) >= 0) break;
+      addr += instr.length;
+    }
+  }
+
+  var labels = {};
+  for (var a in targets)
+    if (inside(+a)) labels[a] = "L" + "%04X".format(+a);
+  for (var a in data)
+    if (inside(+a) && !labels[a]) labels[a] = "D" + "%04X".format(+a);
+  var symbols = options.symbols || {};
+  for (var a in symbols) labels[a] = symbols[a];
+
+  var name = function(v) {
+    return labels[v] !== undefined ? labels[v] : hex(v, 4);
+  };
+  var line = function(label, op, args) {
+    return (label ? label + ":" : "") + "\t" + op + (args ? "\t" + args : "");
+  };
+
+  var text = [];
+  text.push(line(null, "ORG", hex(start, 4)));
+  // The symbols outside of the range and the labels in the middle of
+  // instructions.
+  var equs = [];
+  for (var a in labels) {
+    var used = targets[a] || data[a];
+    var middle = inside(+a) && owner[a - start] !== undefined &&
+                 owner[a - start] != a;
+    if (used && (!inside(+a) || middle))
+      equs.push(labels[a] + "\tEQU\t" + hex(+a, 4));
+  }
+  if (equs.length) text.push(equs.join("\n"));
+
+  for (var addr = start; addr <= end; ) {
+    var label = owner[addr - start] === undefined || owner[addr - start] == addr ?
+                labels[addr] : undefined;
+    var instr = code[addr - start];
+    if (instr) {
+      var args = [];
+      if (instr.arg1 !== undefined) args.push(instr.arg1);
+      if (instr.arg2 !== undefined) args.push(instr.arg2);
+      if (instr.length == 3)
+        args[args.length - 1] = name(instr.value);
+      else if (instr.length == 2)
+        args[args.length - 1] = hex(parseInt(args[args.length - 1], 16), 2);
+      var op = instr.cmd;
+      if (options.syntax == "zilog") {
+        var z = I8080_zilog(op, args, function(v) { return hex(v, 2); });
+        op = z.cmd;
+        args = z.args;
+      }
+      text.push(line(label, op, args.join(", ")));
+      addr += instr.length;
+      continue;
+    }
+
+    // The data till the next code byte or label.
+    var n = 1;
+    while (addr + n <= end && owner[addr + n - start] === undefined &&
+           labels[addr + n] === undefined)
+      ++n;
+    if (words[addr] && n >= 2) {
+      text.push(line(label, "DW",
+                     name(read(addr & 0xffff) | (read((addr + 1) & 0xffff) << 8))));
+      addr += 2;
+      continue;
+    }
+    var items = [];
+    var width = 0;
+    for (var i = 0; i < n; ) {
+      var s = "";
+      while (i + s.length < n) {
+        var c = read((addr + i + s.length) & 0xffff);
+        if (c < 0x20 || c >= 0x7f || c == 0x27) break;
+        s += String.fromCharCode(c);
+      }
+      var item = s.length >= 3 ? "'" + s + "'" : hex(read((addr + i) & 0xffff), 2);
+      if (items.length && (width + item.length > 48 || items.length >= 8)) {
+        text.push(line(label, "DB", items.join(", ")));
+        label = undefined;
+        items = [];
+        width = 0;
+      }
+      items.push(item);
+      width += item.length + 2;
+      i += s.length >= 3 ? s.length : 1;
+    }
+    text.push(line(label, "DB", items.join(", ")));
+    addr += n;
+  }
+  text.push(line(null, "END"));
+
+  return { code: code, labels: labels, text: text.join("\n") };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.I8080_disasm = I8080_disasm;
+  module.exports.I8080_zilog = I8080_zilog;
+  module.exports.I8080_parse_symbols = I8080_parse_symbols;
+  module.exports.I8080_disasm_range = I8080_disasm_range;
+  module.exports.I8080_disasm_source = I8080_disasm_source;
+}
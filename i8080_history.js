@@ -0,0 +1,137 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Execution history for the reverse execution. For every instruction
+// the ring buffer keeps the CPU state before it (see getState) and the
+// memory bytes overwritten by it, so the last size instructions can be
+// undone.
+//
+//   var history = new History(cpu, 100000);
+//   cpu.run(...);
+//   history.step_back(10);          // undo 10 instructions
+//   history.rewind(cycles);         // back to the clock cycle count
+//
+// The writes to IO ports, memory-mapped devices and the bank selection
+// are not undone, nor an interrupt request with a function vector (see
+// I8080.getState). The first instruction after the attach is the oldest
+// one which can be undone.
+
+/** @constructor */
+function History(cpu, size) {
+  this.cpu = cpu;
+  this.size = size;
+  this.entries = new Array(size);
+  this.head = 0;          // The slot for the next instruction.
+  this.count = 0;
+  this.current = null;    // The entry of the instruction being executed.
+
+  // Clock cycles executed since the attach.
+  this.cycles = 0;
+
+  this.attach();
+}
+
+History.prototype.attach = function() {
+  const that = this;
+  const cpu = this.cpu;
+  const instruction = cpu.instruction;
+  const memory_write_byte = cpu.memory_write_byte;
+  this.saved = cpu.save_methods(["instruction", "memory_write_byte"]);
+
+  cpu.instruction = function() {
+    that.record();
+    const cycles = instruction.call(cpu);
+    that.current = null;
+    that.cycles += cycles;
+    return cycles;
+  };
+  cpu.memory_write_byte = function(addr, w8, stackrq) {
+    if (that.current !== null) {
+      addr &= 0xffff;
+      that.current.writes.push(addr, cpu.memory.read(addr, stackrq),
+                               stackrq ? 1 : 0);
+    }
+    memory_write_byte.call(cpu, addr, w8, stackrq);
+  };
+}
+
+// Restores the CPU methods.
+History.prototype.detach = function() {
+  this.cpu.restore_methods(this.saved);
+  this.current = null;
+}
+
+History.prototype.record = function() {
+  const entry = {
+    state: this.cpu.getState(),
+    cycles: this.cycles,
+    writes: []
+  };
+  this.entries[this.head] = entry;
+  this.head = (this.head + 1) % this.size;
+  if (this.count < this.size) this.count += 1;
+  this.current = entry;
+}
+
+History.prototype.clear = function() {
+  this.entries = new Array(this.size);
+  this.head = 0;
+  this.count = 0;
+}
+
+// The number of instructions which can be undone.
+History.prototype.length = function() {
+  return this.count;
+}
+
+// Undoes the last instruction. Returns false if the history is empty.
+History.prototype.undo = function() {
+  if (this.count == 0) return false;
+  this.head = (this.head + this.size - 1) % this.size;
+  this.count -= 1;
+  const entry = this.entries[this.head];
+  this.entries[this.head] = undefined;
+
+  const memory = this.cpu.memory;
+  const writes = entry.writes;
+  for (var i = writes.length - 3; i >= 0; i -= 3)
+    memory.write(writes[i], writes[i + 1], writes[i + 2] != 0);
+  // The overshoot belongs to run(), not to the instruction.
+  const overshoot = this.cpu.overshoot;
+  this.cpu.setState(entry.state);
+  this.cpu.overshoot = overshoot;
+  this.cycles = entry.cycles;
+  return true;
+}
+
+// Undoes n instructions, or less if the history is shorter. Returns the
+// number of instructions undone.
+History.prototype.step_back = function(n) {
+  var i = 0;
+  while (i < n && this.undo()) ++i;
+  return i;
+}
+
+// Undoes the instructions until the clock cycle count is not greater
+// than cycles. Returns false if the history is not long enough.
+History.prototype.rewind = function(cycles) {
+  while (this.cycles > cycles) {
+    if (!this.undo()) return false;
+  }
+  return true;
+}
@@ -0,0 +1,220 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Lockstep comparison with a reference trace, e.g. the log of another
+// emulator in the format of I8080_log_parse() or a binary log of the
+// Recorder. The reference must have one entry per instruction (no
+// filters). Before every instruction the CPU state is compared with the
+// entry: pc, the instruction bytes, the registers, the flags and the
+// clock cycles since the first entry. After the instruction its memory
+// writes are compared with the writes of the entry, if the reference has
+// them.
+//
+// As in the Recorder, the halt state and the 8085 restarts take no entry,
+// and the bytes of an accepted interrupt, which come from the vector, are
+// not compared with the memory. The run stops in the halt state unless
+// an interrupt is pending.
+//
+//   var lockstep = new Lockstep(cpu, I8080_log_parse(text), { sync: true });
+//   var r = lockstep.run();   // r.reason - "mismatch", "end", "limit"
+//                             // or "halt"
+//   console.log(lockstep.report());
+//
+// The options:
+//   sync    - load the registers, the flags and pc from the first entry,
+//   flags   - the mask of the compared flag bits (0xFF by default),
+//   context - the number of the preceding reference lines in the report,
+//   syntax  - "intel" (default) or "zilog" for the disassembled instructions.
+
+/** @constructor */
+function Lockstep(cpu, reference, options) {
+  this.cpu = cpu;
+  this.reference = reference;
+  this.options = options || {};
+  this.flags = this.options.flags === undefined ? 0xff : this.options.flags;
+  this.context = this.options.context === undefined ? 5 : this.options.context;
+
+  // The number of the next entry, the clock cycles since the first one
+  // and the writes of the current instruction.
+  this.index = 0;
+  this.cycles = 0;
+  this.writes = [];
+  this.differences = [];
+
+  if (this.options.sync && reference.length) this.sync(reference[0]);
+  this.attach();
+}
+
+Lockstep.prototype.attach = function() {
+  const that = this;
+  const cpu = this.cpu;
+  const memory_write_byte = cpu.memory_write_byte;
+  this.saved = cpu.save_methods(["memory_write_byte"]);
+
+  cpu.memory_write_byte = function(addr, w8, stackrq) {
+    memory_write_byte.call(cpu, addr, w8, stackrq);
+    that.writes.push([addr & 0xffff, w8 & 0xff]);
+  };
+}
+
+// Restores the CPU method.
+Lockstep.prototype.detach = function() {
+  this.cpu.restore_methods(this.saved);
+}
+
+Lockstep.prototype.sync = function(entry) {
+  const cpu = this.cpu;
+  cpu.regs[0] = entry.b; cpu.regs[1] = entry.c;
+  cpu.regs[2] = entry.d; cpu.regs[3] = entry.e;
+  cpu.regs[4] = entry.h; cpu.regs[5] = entry.l;
+  cpu.regs[7] = entry.a;
+  cpu.retrieve_flags(entry.f);
+  cpu.sp = entry.sp;
+  cpu.jump(entry.pc);
+}
+
+// Returns the differences of the CPU state from the entry:
+// [{ field, expected, actual }, ...].
+Lockstep.prototype.compare = function(entry) {
+  const cpu = this.cpu;
+  const interrupt = cpu.next_action() == "interrupt";
+  const r = cpu.regs;
+  var differences = [];
+  const check = function(field, expected, actual, digits) {
+    if (expected != actual)
+      differences.push({ field: field, expected: expected, actual: actual,
+                         digits: digits });
+  };
+  check("PC", entry.pc, cpu.pc, 4);
+  if (entry.bytes && !interrupt) {
+    const length = I8080_disasm(entry.bytes.concat([0, 0]).slice(0, 3),
+                                cpu.disasm_options()).length;
+    for (var i = 0; i < length && i < entry.bytes.length; ++i)
+      check("(PC+" + i + ")", entry.bytes[i],
+            cpu.memory.read((entry.pc + i) & 0xffff), 2);
+  }
+  check("A", entry.a, r[7], 2);
+  check("F", entry.f & this.flags, cpu.store_flags() & this.flags, 2);
+  check("B", entry.b, r[0], 2);
+  check("C", entry.c, r[1], 2);
+  check("D", entry.d, r[2], 2);
+  check("E", entry.e, r[3], 2);
+  check("H", entry.h, r[4], 2);
+  check("L", entry.l, r[5], 2);
+  check("SP", entry.sp, cpu.sp, 4);
+  const first = this.reference[0].cycles;
+  if (entry.cycles !== null && first !== null)
+    check("CYC", entry.cycles - first, this.cycles, 0);
+  return differences;
+}
+
+// Executes one instruction against the next entry. Returns true when the
+// state or the writes differ, the details are in this.differences.
+Lockstep.prototype.step = function() {
+  const action = this.cpu.next_action();
+  if (action == "halt" || action == "restart") {
+    this.writes = [];
+    this.cycles += this.cpu.instruction();
+    return false;
+  }
+
+  const entry = this.reference[this.index];
+  this.differences = this.compare(entry);
+  this.writes = [];
+  if (this.differences.length) return true;
+
+  this.cycles += this.cpu.instruction();
+  this.index += 1;
+  const expected = I8080_log_writes(entry.writes, "");
+  const actual = I8080_log_writes(this.writes, "");
+  if (entry.writes && expected != actual) {
+    this.differences = [{ field: "W", expected: expected.trim() || "-",
+                          actual: actual.trim() || "-" }];
+    return true;
+  }
+  return false;
+}
+
+// Executes up to max_instructions (all by default) until the first
+// mismatch. Returns { reason, index, differences }, the index is the
+// number of the entry in the reference.
+Lockstep.prototype.run = function(max_instructions) {
+  const end = Math.min(this.reference.length,
+                       this.index + (max_instructions || Infinity));
+  while (this.index < end) {
+    if (this.cpu.next_action() == "halt") {
+      return { reason: "halt", index: this.index, differences: [] };
+    }
+    if (this.step()) {
+      return { reason: "mismatch", differences: this.differences,
+               index: this.differences[0].field == "W" ?
+                      this.index - 1 : this.index };
+    }
+  }
+  return { reason: this.index < this.reference.length ? "limit" : "end",
+           index: this.index, differences: [] };
+}
+
+// The description of the last mismatch with the preceding reference
+// lines and the CPU state (after the instruction for the writes).
+Lockstep.prototype.report = function() {
+  if (!this.differences.length)
+    return "No mismatch in " + this.index + " instructions\n";
+  const writes = this.differences[0].field == "W";
+  const index = writes ? this.index - 1 : this.index;
+  var options = this.cpu.disasm_options();
+  options.syntax = this.options.syntax;
+
+  var r = "Mismatch at instruction " + index + ":";
+  for (var i = 0; i < this.differences.length; ++i) {
+    const d = this.differences[i];
+    const value = function(v) {
+      return typeof v === "string" ? v :
+        d.digits == 4 ? "%04X".format(v) :
+        d.digits == 2 ? "%02X".format(v) : String(v);
+    };
+    r += (i ? "," : "") + " " + d.field + " expected " + value(d.expected) +
+         ", got " + value(d.actual);
+  }
+  r += "\n\nReference:\n";
+  for (var i = Math.max(0, index - this.context); i <= index; ++i) {
+    const entry = this.reference[i];
+    const bytes = entry.bytes ? entry.bytes.concat([0, 0]).slice(0, 3) :
+      [0, 1, 2].map(function(j) {
+        return this.cpu.memory.read((entry.pc + j) & 0xffff);
+      }, this);
+    r += (i == index ? "> " : "  ") + I8080_log_line(this.entry_line(entry)) +
+         "  " + I8080_disasm(bytes, options).text + "\n";
+  }
+  r += "\nEmulator" + (writes ? " after the instruction" : "") + ":\n";
+  r += I8080_trace(this.cpu, this.options.syntax);
+  return r;
+}
+
+// The entry with the missing fields filled for I8080_log_line().
+Lockstep.prototype.entry_line = function(entry) {
+  var line = {};
+  for (var key in entry) line[key] = entry[key];
+  if (!line.bytes) line.bytes = [0, 0, 0, 0];
+  if (line.cycles === null) line.cycles = 0;
+  return line;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.Lockstep = Lockstep;
+}
@@ -0,0 +1,245 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// 64K address space built of 256-byte pages. Initially every page is
+// backed by RAM, then ROM, device and banked regions are mapped on top.
+//
+//   var mem = new Memory();
+//   mem.map_rom(0xF800, files["mon32.bin"].image);
+//   mem.map_device(0xC000, 0x2000, crt);   // crt.read(offset), crt.write(offset, w8)
+//   var w = mem.map_banks(0x4000, 0x4000, 4);
+//   mem.bank_port(0x10, w);                // OUT 10h selects the bank
+//
+// Stack accesses (PUSH, POP, CALL, RET, RST, XTHL) are marked by the CPU
+// with the stackrq flag. With a stack bank selected they go to that 64K
+// bank instead of the address space, as the Vector-06C RAM-disk does.
+//
+// The IO object of the machine should pass port writes to output() to
+// make the bank ports work.
+
+const MEMORY_PAGE = 0x100;
+
+/** @constructor */
+function Memory() {
+  this.ram = new Uint8Array(0x10000);
+
+  this.pages = [];
+  for (var i = 0; i < 0x10000 / MEMORY_PAGE; ++i)
+    this.pages[i] = this.page(this.ram, i * MEMORY_PAGE, true);
+
+  this.windows = [];
+  this.ports = [];
+
+  this.stack_banks = [];
+  this.stack_index = -1;
+  this.stack = null;
+}
+
+Memory.prototype.page = function(data, offset, writable) {
+  return { data: data, offset: offset, writable: writable,
+           device: null, start: 0 };
+}
+
+Memory.prototype.read = function(addr, stackrq) {
+  addr &= 0xffff;
+  if (stackrq && this.stack !== null) return this.stack[addr];
+  const page = this.pages[addr >> 8];
+  if (page.device !== null)
+    return page.device.read(addr - page.start, stackrq) & 0xff;
+  return page.data[page.offset + (addr & 0xff)];
+}
+
+Memory.prototype.write = function(addr, w8, stackrq) {
+  addr &= 0xffff;
+  if (stackrq && this.stack !== null) {
+    this.stack[addr] = w8;
+    return;
+  }
+  const page = this.pages[addr >> 8];
+  if (page.device !== null)
+    page.device.write(addr - page.start, w8 & 0xff, stackrq);
+  else if (page.writable)
+    page.data[page.offset + (addr & 0xff)] = w8;
+}
+
+Memory.prototype.load_file = function(files, name) {
+  if (files[name] == null) {
+    console.log("File " + name + " is not found");
+    return;
+  }
+  var end = files[name].start + files[name].image.length - 1;
+  for (var i = files[name].start; i <= end; ++i)
+    this.write(i, files[name].image.charCodeAt(i - files[name].start));
+
+  console.log("*********************************");
+  var size = files[name].end - files[name].start + 1;
+  console.log("File \"" + name + "\" loaded, size " + size);
+}
+
+Memory.prototype.check_region = function(start, size) {
+  if (start % MEMORY_PAGE || size % MEMORY_PAGE || size <= 0 ||
+      start + size > 0x10000)
+    throw("Memory region " + start.toString(16) + "/" + size.toString(16) +
+          " is not aligned to pages");
+}
+
+// Maps RAM to [start, start + size). Without the data array the region
+// is backed by the base 64K RAM. Returns the array.
+Memory.prototype.map_ram = function(start, size, data) {
+  this.check_region(start, size);
+  var offset = 0;
+  if (!data) {
+    data = this.ram;
+    offset = start;
+  }
+  for (var i = 0; i < size; i += MEMORY_PAGE)
+    this.pages[(start + i) >> 8] = this.page(data, offset + i, true);
+  return data;
+}
+
+// Maps a ROM image at the start address. The image is a string, as in
+// the preloaded files, or an array of bytes. Writes to ROM are ignored.
+Memory.prototype.map_rom = function(start, image) {
+  const size = Math.ceil(image.length / MEMORY_PAGE) * MEMORY_PAGE;
+  this.check_region(start, size);
+  const data = new Uint8Array(size);
+  for (var i = 0; i < image.length; ++i)
+    data[i] = typeof image === "string" ? image.charCodeAt(i) : image[i];
+  for (var i = 0; i < size; i += MEMORY_PAGE)
+    this.pages[(start + i) >> 8] = this.page(data, i, false);
+  return data;
+}
+
+// Maps a memory-mapped device. The device receives the offset from the
+// start of the region: read(offset, stackrq), write(offset, w8, stackrq).
+Memory.prototype.map_device = function(start, size, device) {
+  this.check_region(start, size);
+  for (var i = 0; i < size; i += MEMORY_PAGE) {
+    var page = this.page(null, 0, true);
+    page.device = device;
+    page.start = start;
+    this.pages[(start + i) >> 8] = page;
+  }
+}
+
+// Creates a window of count RAM banks at [start, start + size), bank 0
+// is selected. Returns the window number for select_bank().
+Memory.prototype.map_banks = function(start, size, count) {
+  this.check_region(start, size);
+  const win = { start: start, size: size, bank: 0, banks: [], pages: [] };
+  for (var n = 0; n < count; ++n) {
+    win.banks[n] = new Uint8Array(size);
+    win.pages[n] = [];
+    for (var i = 0; i < size; i += MEMORY_PAGE)
+      win.pages[n].push(this.page(win.banks[n], i, true));
+  }
+  this.windows.push(win);
+  this.select_bank(this.windows.length - 1, 0);
+  return this.windows.length - 1;
+}
+
+Memory.prototype.select_bank = function(w, n) {
+  const win = this.windows[w];
+  win.bank = n % win.banks.length;
+  const pages = win.pages[win.bank];
+  for (var i = 0; i < pages.length; ++i)
+    this.pages[(win.start >> 8) + i] = pages[i];
+}
+
+// Makes writes to the IO port select the bank in the window.
+Memory.prototype.bank_port = function(port, w) {
+  var that = this;
+  this.ports[port & 0xff] = function(w8) { that.select_bank(w, w8); };
+}
+
+// Creates count 64K banks for the stack accesses. None of them is
+// selected until select_stack().
+Memory.prototype.map_stack = function(count) {
+  for (var n = 0; n < count; ++n)
+    this.stack_banks.push(new Uint8Array(0x10000));
+  this.stack = null;
+}
+
+// Routes the stack accesses to the bank n, or back to the address space
+// if n is negative.
+Memory.prototype.select_stack = function(n) {
+  if (n >= 0 && this.stack_banks.length == 0)
+    throw("No stack banks to select bank " + n);
+  this.stack_index = n < 0 ? -1 : n % this.stack_banks.length;
+  this.stack = n < 0 ? null : this.stack_banks[this.stack_index];
+}
+
+// Makes writes to the IO port select the stack bank. The decode function
+// converts the written value to the bank number or -1.
+Memory.prototype.stack_port = function(port, decode) {
+  var that = this;
+  this.ports[port & 0xff] = function(w8) { that.select_stack(decode(w8)); };
+}
+
+// To be called from IO.output(). Returns true if the port belongs to
+// the memory.
+Memory.prototype.output = function(port, w8) {
+  const handler = this.ports[port & 0xff];
+  if (!handler) return false;
+  handler(w8 & 0xff);
+  return true;
+}
+
+// RAM contents, stack banks and selected banks to be saved along with
+// I8080.getState(). ROM and devices are not included.
+Memory.prototype.getState = function() {
+  const windows = [];
+  for (var w = 0; w < this.windows.length; ++w) {
+    const win = this.windows[w];
+    const banks = [];
+    for (var n = 0; n < win.banks.length; ++n)
+      banks.push(Array.prototype.slice.call(win.banks[n]));
+    windows.push({ bank: win.bank, banks: banks });
+  }
+  const stack_banks = [];
+  for (var n = 0; n < this.stack_banks.length; ++n)
+    stack_banks.push(Array.prototype.slice.call(this.stack_banks[n]));
+  return {
+    version: 1,
+    image: Array.prototype.slice.call(this.ram),
+    windows: windows,
+    stack_banks: stack_banks,
+    stack: this.stack_index
+  };
+}
+
+Memory.prototype.setState = function(state) {
+  if (state.version !== 1)
+    throw("Unsupported Memory state version: " + state.version);
+  this.ram.set(state.image);
+  const windows = state.windows || [];
+  for (var w = 0; w < windows.length && w < this.windows.length; ++w) {
+    for (var n = 0; n < windows[w].banks.length; ++n)
+      this.windows[w].banks[n].set(windows[w].banks[n]);
+    this.select_bank(w, windows[w].bank);
+  }
+  const stack_banks = state.stack_banks || [];
+  for (var n = 0; n < stack_banks.length && n < this.stack_banks.length; ++n)
+    this.stack_banks[n].set(stack_banks[n]);
+  if (this.stack_banks.length) this.select_stack(state.stack);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.Memory = Memory;
+  module.exports.MEMORY_PAGE = MEMORY_PAGE;
+}
@@ -0,0 +1,246 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Code coverage and hot-spot profiler. It replaces instruction() of the
+// CPU instance and counts the executions and the clock cycles of every
+// instruction address. The cycles in the halt state are charged to the
+// HLT instruction without counting it again. The subroutines are
+// followed by the taken calls (CALL, Cxx, RST, also the interrupts and
+// the 8085 restarts) and returns (RET, Rxx): the calls of a subroutine,
+// its own cycles and the cycles including the called ones.
+//
+//   var profiler = new Profiler(cpu, { symbols: I8080_parse_symbols(sym) });
+//   cpu.run(...);
+//   profiler.hotspots(10);              // [{ addr, count, cycles }]
+//   profiler.subroutines();             // [{ addr, name, calls, self, total }]
+//   profiler.listing(0x100, 0x7ff);     // { text, unexecuted, ... }
+//   profiler.json(0x100, 0x7ff);        // all of it as a JSON string
+//
+// The code running before the first call is attributed to the
+// subroutine at pc of the attach. A return pops every frame below the
+// new stack pointer, so the subroutines leaving by JMP or by
+// resetting SP are closed at the next return of the caller.
+
+/** @constructor */
+function Profiler(cpu, options) {
+  this.cpu = cpu;
+  this.options = options || {};
+  this.symbols = this.options.symbols || {};
+
+  // The opcode classes.
+  this.calls = [];
+  this.rets = [];
+  const disasm = cpu.disasm_options();
+  const rets = ["RET", "RET?", "RNZ", "RZ", "RNC", "RC", "RPO", "RPE",
+                "RP", "RM"];
+  for (var opcode = 0; opcode < 0x100; ++opcode) {
+    const instr = I8080_disasm([opcode, 0, 0], disasm);
+    this.calls[opcode] = instr.call;
+    this.rets[opcode] = rets.indexOf(instr.cmd) >= 0;
+  }
+
+  this.clear();
+  this.attach();
+}
+
+Profiler.prototype.clear = function() {
+  this.counts = new Uint32Array(0x10000);
+  this.cycles = new Float64Array(0x10000);
+  this.total = 0;
+  this.instructions = 0;
+  this.interrupts = 0;
+  this.halt_cycles = 0;
+
+  // {entry: { calls, self, total, active }} and the call stack of
+  // { entry, sp, start }.
+  this.routines = {};
+  this.stack = [];
+  this.enter(this.cpu.pc, this.cpu.sp);
+  this.routines[this.cpu.pc].calls = 0;
+}
+
+Profiler.prototype.attach = function() {
+  const that = this;
+  const cpu = this.cpu;
+  const instruction = cpu.instruction;
+  this.saved = cpu.save_methods(["instruction"]);
+
+  cpu.instruction = function() {
+    // As instruction() decides: the interrupt acknowledge, the 8085
+    // restart, the halt state or the instruction at pc.
+    const action = cpu.next_action();
+    const interrupt = action == "interrupt" || action == "restart";
+    const halted = action == "halt";
+    const pc = cpu.pc;
+    const sp = cpu.sp;
+    const cycles = instruction.call(cpu);
+    if (halted) that.halt((pc - 1) & 0xffff, cycles);
+    else that.count(interrupt ? null : pc, cpu.last_opcode, cycles, sp);
+    return cycles;
+  };
+}
+
+// Restores the CPU methods.
+Profiler.prototype.detach = function() {
+  this.cpu.restore_methods(this.saved);
+}
+
+Profiler.prototype.count = function(addr, opcode, cycles, sp) {
+  const cpu = this.cpu;
+  this.total += cycles;
+  this.routines[this.stack[this.stack.length - 1].entry].self += cycles;
+
+  // The 8085 restarts execute no opcode, so any interrupt which has
+  // pushed pc is a call.
+  if (addr === null) {
+    this.interrupts += 1;
+    if (cpu.sp == ((sp - 2) & 0xffff)) this.enter(cpu.pc, cpu.sp);
+    return;
+  }
+  this.instructions += 1;
+  this.counts[addr] += 1;
+  this.cycles[addr] += cycles;
+
+  // A call or a return is taken when it has moved the stack pointer.
+  if (this.calls[opcode] && cpu.sp == ((sp - 2) & 0xffff))
+    this.enter(cpu.pc, cpu.sp);
+  else if (this.rets[opcode] && cpu.sp == ((sp + 2) & 0xffff))
+    this.leave(cpu.sp);
+}
+
+Profiler.prototype.halt = function(addr, cycles) {
+  this.total += cycles;
+  this.halt_cycles += cycles;
+  this.cycles[addr] += cycles;
+  this.routines[this.stack[this.stack.length - 1].entry].self += cycles;
+}
+
+Profiler.prototype.enter = function(entry, sp) {
+  var routine = this.routines[entry];
+  if (routine === undefined) {
+    routine = this.routines[entry] = { calls: 0, self: 0, total: 0, active: 0 };
+  }
+  routine.calls += 1;
+  routine.active += 1;
+  this.stack.push({ entry: entry, sp: sp, start: this.total });
+}
+
+Profiler.prototype.leave = function(sp) {
+  // The bottom frame stays. The stack may wrap around 0000, e.g. SP is
+  // 0000 for CP/M programs, so above is taken modulo 64K.
+  while (this.stack.length > 1) {
+    const above = (sp - this.stack[this.stack.length - 1].sp) & 0xffff;
+    if (above == 0 || above >= 0x8000) break;
+    const frame = this.stack.pop();
+    const routine = this.routines[frame.entry];
+    // The recursive calls are counted once by the outermost one.
+    routine.active -= 1;
+    if (routine.active == 0) routine.total += this.total - frame.start;
+  }
+}
+
+Profiler.prototype.name = function(addr) {
+  return this.symbols[addr] || "L%04X".format(addr);
+}
+
+// The n (all by default) addresses with the most clock cycles:
+// [{ addr, name, count, cycles }].
+Profiler.prototype.hotspots = function(n) {
+  var spots = [];
+  for (var addr = 0; addr < 0x10000; ++addr) {
+    if (this.counts[addr])
+      spots.push({ addr: addr, name: this.symbols[addr] || null,
+                   count: this.counts[addr], cycles: this.cycles[addr] });
+  }
+  spots.sort(function(a, b) { return b.cycles - a.cycles || a.addr - b.addr; });
+  return n === undefined ? spots : spots.slice(0, n);
+}
+
+// The subroutines by the cycles including the called ones:
+// [{ addr, name, calls, self, total }]. The cycles of the subroutines
+// still running are counted up to now.
+Profiler.prototype.subroutines = function() {
+  var totals = {};
+  for (var i = 0; i < this.stack.length; ++i) {
+    const entry = this.stack[i].entry;
+    if (totals[entry] === undefined)
+      totals[entry] = this.total - this.stack[i].start;
+  }
+  var list = [];
+  for (var entry in this.routines) {
+    const routine = this.routines[entry];
+    list.push({ addr: +entry, name: this.name(+entry), calls: routine.calls,
+                self: routine.self,
+                total: routine.total + (totals[entry] || 0) });
+  }
+  list.sort(function(a, b) { return b.total - a.total || a.addr - b.addr; });
+  return list;
+}
+
+// The disassembly listing of start..end (see I8080_disasm_range) with
+// the execution counts and the cycles of every instruction, "-" for the
+// instructions never executed. Returns { text, lines: [{ addr, count,
+// cycles, text }], unexecuted: [the lines never executed], executed,
+// total (the numbers of instructions) }. The options are passed to the
+// disassembler, the profiler symbols are used by default.
+Profiler.prototype.listing = function(start, end, options) {
+  options = options || {};
+  var disasm = this.cpu.disasm_options();
+  for (var key in options) disasm[key] = options[key];
+  if (!disasm.symbols) disasm.symbols = this.symbols;
+  const range = I8080_disasm_range(this.cpu.memory, start, end, disasm);
+
+  var lines = [], unexecuted = [], text = [];
+  for (var i = 0; i < range.lines.length; ++i) {
+    const addr = range.lines[i].addr;
+    const line = { addr: addr, count: this.counts[addr],
+                   cycles: this.cycles[addr], text: range.lines[i].text };
+    lines.push(line);
+    if (line.count == 0) unexecuted.push(line);
+    text.push((line.count ? "%10d %12d  %s" : "%10s %12s  %s").format(
+      line.count ? line.count : "-", line.count ? line.cycles : "", line.text));
+  }
+  return { text: text.join("\n"), lines: lines, unexecuted: unexecuted,
+           executed: lines.length - unexecuted.length, total: lines.length };
+}
+
+// The summary, the hot spots, the subroutines and with start and end the
+// coverage of the range as an object for JSON.
+Profiler.prototype.report = function(start, end, options) {
+  var report = {
+    cycles: this.total,
+    instructions: this.instructions,
+    interrupts: this.interrupts,
+    halt_cycles: this.halt_cycles,
+    hotspots: this.hotspots(),
+    subroutines: this.subroutines()
+  };
+  if (start !== undefined) {
+    const listing = this.listing(start, end, options);
+    report.coverage = {
+      start: start, end: end,
+      executed: listing.executed, total: listing.total,
+      unexecuted: listing.unexecuted.map(function(line) { return line.addr; })
+    };
+  }
+  return report;
+}
+
+Profiler.prototype.json = function(start, end, options) {
+  return JSON.stringify(this.report(start, end, options));
+}
@@ -0,0 +1,388 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Execution trace recorder. Before every instruction it stores pc, the 4
+// bytes from pc, the registers, the flags and the clock cycles executed
+// since the attach into a binary buffer.
+//
+//   var recorder = new Recorder(cpu, { ranges: [[0x100, 0x7ff]],
+//                                      types: ["call", "ret"] });
+//   cpu.run(...);
+//   recorder.text();       // "PC: 0100, AF: 0002, ..., CYC: 0\t(3E 01 FE 02)"
+//   recorder.binary();     // Uint8Array, see I8080_log_decode()
+//
+// The text lines are in the format of the logs of other 8080 emulators,
+// one line per instruction. The filters:
+//   ranges - [[start, end], ...], the addresses of the instructions,
+//   types  - the instruction classes: "jump", "call" (also RST), "ret",
+//            "io", "stack" (PUSH, POP, XTHL, SPHL), "memory" (the memory
+//            operands: M, LDA, STAX, LHLD, ...),
+//   cmds   - the Intel mnemonics, e.g. ["DAA", "RST"].
+// An instruction is recorded when it is in one of the ranges (if any)
+// and matches one of the types or cmds (if any). With options.writes the
+// memory writes of the recorded instructions are kept as well, the
+// entries get writes: [[addr, value], ...].
+//
+// An accepted interrupt is recorded at the pc where it happens with the
+// bytes of the vector. The halt state and the 8085 restarts execute no
+// opcode and are not recorded, their clock cycles are counted.
+
+const RECORDER_RECORD = 20;
+const RECORDER_MAGIC = "TR80";
+const RECORDER_WRITE = 7;
+
+/** @constructor */
+function Recorder(cpu, options) {
+  this.cpu = cpu;
+  this.options = options || {};
+  this.ranges = this.options.ranges || null;
+
+  this.buffer = new Uint8Array(RECORDER_RECORD * 1024);
+  this.count = 0;
+
+  // The memory writes: the index of the first write of every record and
+  // the written addresses and values.
+  this.first_write = [];
+  this.write_addr = [];
+  this.write_value = [];
+  this.recording = false;
+
+  // Clock cycles executed since the attach.
+  this.cycles = 0;
+
+  this.wanted = this.classify(this.options.types || [], this.options.cmds || []);
+  this.attach();
+}
+
+// Returns [opcode] = true for the opcodes to record.
+Recorder.prototype.classify = function(types, cmds) {
+  const classes = {
+    jump: ["JMP", "JNZ", "JZ", "JNC", "JC", "JPO", "JPE", "JP", "JM", "PCHL",
+           "JMP?", "JNK", "JK"],
+    ret: ["RET", "RNZ", "RZ", "RNC", "RC", "RPO", "RPE", "RP", "RM", "RET?"],
+    io: ["IN", "OUT"],
+    stack: ["PUSH", "POP", "XTHL", "SPHL"],
+    memory: ["LDA", "STA", "LHLD", "SHLD", "LDAX", "STAX", "LHLX", "SHLX"]
+  };
+  for (var i = 0; i < types.length; ++i) {
+    if (types[i] != "call" && !classes[types[i]])
+      throw("Unknown instruction type: " + types[i]);
+  }
+  const options = this.cpu.disasm_options();
+  var wanted = [];
+  for (var opcode = 0; opcode < 0x100; ++opcode) {
+    const instr = I8080_disasm([opcode, 0, 0], options);
+    var match = types.length == 0 && cmds.length == 0;
+    if (cmds.indexOf(instr.cmd) >= 0) match = true;
+    for (var i = 0; i < types.length; ++i) {
+      const type = types[i];
+      if (type == "call" && instr.call) match = true;
+      if (type == "memory" && (instr.arg1 == "M" || instr.arg2 == "M"))
+        match = true;
+      if (classes[type] && classes[type].indexOf(instr.cmd) >= 0) match = true;
+    }
+    wanted[opcode] = match;
+  }
+  return wanted;
+}
+
+Recorder.prototype.attach = function() {
+  const that = this;
+  const cpu = this.cpu;
+  const instruction = cpu.instruction;
+  const memory_write_byte = cpu.memory_write_byte;
+  this.saved = cpu.save_methods(this.options.writes ?
+                                ["instruction", "memory_write_byte"] :
+                                ["instruction"]);
+
+  cpu.instruction = function() {
+    const action = cpu.next_action();
+    const pc = cpu.pc;
+    that.recording = action == "interrupt" ||
+      (action == "fetch" && that.accept(pc, cpu.memory.read(pc)));
+    if (that.recording) that.record();
+
+    // The bytes of the vector are known when the CPU has fetched them,
+    // then the opcode is filtered.
+    var bytes = null;
+    if (action == "interrupt") {
+      const fetch = cpu.vector_fetch(cpu.intr);
+      bytes = [0, 0, 0, 0];
+      cpu.intr = function(n) {
+        const w8 = fetch(n) & 0xff;
+        if (n < bytes.length) bytes[n] = w8;
+        return w8;
+      };
+    }
+
+    const cycles = instruction.call(cpu);
+    that.cycles += cycles;
+    if (bytes !== null) {
+      if (that.accept(pc, cpu.last_opcode))
+        that.buffer.set(bytes, (that.count - 1) * RECORDER_RECORD + 2);
+      else
+        that.unrecord();
+    }
+    return cycles;
+  };
+  if (!this.options.writes) return;
+  cpu.memory_write_byte = function(addr, w8, stackrq) {
+    memory_write_byte.call(cpu, addr, w8, stackrq);
+    if (that.recording) {
+      that.write_addr.push(addr & 0xffff);
+      that.write_value.push(w8 & 0xff);
+    }
+  };
+}
+
+// Restores the CPU methods.
+Recorder.prototype.detach = function() {
+  this.cpu.restore_methods(this.saved);
+}
+
+Recorder.prototype.accept = function(pc, opcode) {
+  if (!this.wanted[opcode]) return false;
+  if (this.ranges === null) return true;
+  for (var i = 0; i < this.ranges.length; ++i)
+    if (pc >= this.ranges[i][0] && pc <= this.ranges[i][1]) return true;
+  return false;
+}
+
+Recorder.prototype.record = function() {
+  if ((this.count + 1) * RECORDER_RECORD > this.buffer.length) {
+    const buffer = new Uint8Array(this.buffer.length * 2);
+    buffer.set(this.buffer);
+    this.buffer = buffer;
+  }
+  const cpu = this.cpu;
+  const b = this.buffer;
+  const r = cpu.regs;
+  var i = this.count * RECORDER_RECORD;
+  b[i++] = cpu.pc & 0xff;
+  b[i++] = cpu.pc >> 8;
+  for (var j = 0; j < 4; ++j) b[i++] = cpu.memory.read((cpu.pc + j) & 0xffff);
+  b[i++] = r[7];
+  b[i++] = cpu.store_flags();
+  for (var j = 0; j < 6; ++j) b[i++] = r[j];
+  b[i++] = cpu.sp & 0xff;
+  b[i++] = cpu.sp >> 8;
+  I8080_log_put32(b, i, this.cycles);
+  this.first_write[this.count] = this.write_addr.length;
+  this.count += 1;
+}
+
+// Drops the last record and its writes.
+Recorder.prototype.unrecord = function() {
+  this.count -= 1;
+  this.write_addr.length = this.first_write[this.count];
+  this.write_value.length = this.first_write[this.count];
+  this.first_write.length = this.count;
+}
+
+Recorder.prototype.clear = function() {
+  this.count = 0;
+  this.first_write = [];
+  this.write_addr = [];
+  this.write_value = [];
+}
+
+// The number of recorded instructions.
+Recorder.prototype.length = function() {
+  return this.count;
+}
+
+// The recorded instruction n: { pc, bytes, a, f, b, c, d, e, h, l, sp,
+// cycles } and writes with options.writes.
+Recorder.prototype.entry = function(n) {
+  var entry = I8080_log_record(this.buffer, n * RECORDER_RECORD);
+  if (this.options.writes) {
+    const end = n + 1 < this.count ?
+      this.first_write[n + 1] : this.write_addr.length;
+    entry.writes = [];
+    for (var i = this.first_write[n]; i < end; ++i)
+      entry.writes.push([this.write_addr[i], this.write_value[i]]);
+  }
+  return entry;
+}
+
+// The log: the magic "TR80", the version, the record size, the flags, a
+// zero byte and the records. A record is pc (2 bytes), 4 bytes from pc,
+// A, F, B, C, D, E, H, L, SP (2 bytes) and the clock cycles (4 bytes),
+// the words are little-endian. With the flag 1 (options.writes) the
+// number of records (4 bytes) precedes the records, and the writes
+// follow them: the record number (4 bytes), the address and the value.
+Recorder.prototype.binary = function() {
+  const size = this.count * RECORDER_RECORD;
+  const writes = this.options.writes ? this.write_addr.length : 0;
+  const header = this.options.writes ? 12 : 8;
+  var log = new Uint8Array(header + size + writes * RECORDER_WRITE);
+  for (var i = 0; i < 4; ++i) log[i] = RECORDER_MAGIC.charCodeAt(i);
+  log[4] = 1;
+  log[5] = RECORDER_RECORD;
+  log.set(this.buffer.subarray(0, size), header);
+  if (!this.options.writes) return log;
+
+  log[6] = 1;
+  I8080_log_put32(log, 8, this.count);
+  var n = 0;
+  for (var j = 0; j < writes; ++j) {
+    while (n + 1 < this.count && this.first_write[n + 1] <= j) n += 1;
+    const i = header + size + j * RECORDER_WRITE;
+    I8080_log_put32(log, i, n);
+    log[i + 4] = this.write_addr[j] & 0xff;
+    log[i + 5] = this.write_addr[j] >> 8;
+    log[i + 6] = this.write_value[j];
+  }
+  return log;
+}
+
+// The lines of the recorded instructions. With options.disasm the
+// instructions are appended in the syntax of options.syntax.
+Recorder.prototype.text = function(options) {
+  options = options || {};
+  var disasm = null;
+  if (options.disasm) {
+    disasm = this.cpu.disasm_options();
+    disasm.syntax = options.syntax;
+  }
+  var lines = [];
+  for (var n = 0; n < this.count; ++n) {
+    const entry = this.entry(n);
+    var line = I8080_log_line(entry);
+    if (disasm !== null) line += "  " + I8080_disasm(entry.bytes, disasm).text;
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+I8080_log_record = function(b, i) {
+  return {
+    pc: b[i] | (b[i + 1] << 8),
+    bytes: [b[i + 2], b[i + 3], b[i + 4], b[i + 5]],
+    a: b[i + 6], f: b[i + 7],
+    b: b[i + 8], c: b[i + 9], d: b[i + 10], e: b[i + 11],
+    h: b[i + 12], l: b[i + 13],
+    sp: b[i + 14] | (b[i + 15] << 8),
+    cycles: I8080_log_get32(b, i + 16)
+  };
+}
+
+I8080_log_get32 = function(b, i) {
+  return (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16)) + b[i + 3] * 0x1000000;
+}
+
+I8080_log_put32 = function(b, i, value) {
+  for (var j = 0; j < 4; ++j) b[i + j] = Math.floor(value / Math.pow(2, 8 * j)) & 0xff;
+}
+
+// Decodes the binary log into the entries.
+I8080_log_decode = function(log) {
+  var magic = "";
+  for (var i = 0; i < 4; ++i) magic += String.fromCharCode(log[i]);
+  if (magic != RECORDER_MAGIC || log[4] != 1 || log[5] != RECORDER_RECORD)
+    throw("Not a trace log");
+  var entries = [];
+  if (!(log[6] & 1)) {
+    for (var i = 8; i + RECORDER_RECORD <= log.length; i += RECORDER_RECORD)
+      entries.push(I8080_log_record(log, i));
+    return entries;
+  }
+  const count = I8080_log_get32(log, 8);
+  const end = 12 + count * RECORDER_RECORD;
+  if (end > log.length) throw("Truncated trace log");
+  for (var i = 12; i < end; i += RECORDER_RECORD) {
+    var entry = I8080_log_record(log, i);
+    entry.writes = [];
+    entries.push(entry);
+  }
+  for (var i = end; i + RECORDER_WRITE <= log.length; i += RECORDER_WRITE) {
+    const n = I8080_log_get32(log, i);
+    if (n >= count) throw("Invalid trace log write record");
+    entries[n].writes.push([log[i + 4] | (log[i + 5] << 8), log[i + 6]]);
+  }
+  return entries;
+}
+
+I8080_log_line = function(entry) {
+  return ("PC: %04X, AF: %04X, BC: %04X, DE: %04X, HL: %04X, SP: %04X, " +
+          "CYC: %d\t(%02X %02X %02X %02X)").format(
+    entry.pc, (entry.a << 8) | entry.f, (entry.b << 8) | entry.c,
+    (entry.d << 8) | entry.e, (entry.h << 8) | entry.l, entry.sp,
+    entry.cycles, entry.bytes[0], entry.bytes[1], entry.bytes[2],
+    entry.bytes[3]) + I8080_log_writes(entry.writes, "\tW:");
+}
+
+// " 1234=56 1235=00" with the prefix, "" without the writes.
+I8080_log_writes = function(writes, prefix) {
+  if (!writes) return "";
+  var s = prefix;
+  for (var i = 0; i < writes.length; ++i)
+    s += " %04X=%02X".format(writes[i][0], writes[i][1]);
+  return s;
+}
+
+// Parses the text log into the entries. The lines which are not in the
+// format are skipped, the bytes, the cycles and the writes ("W: 1234=56
+// ...") are optional.
+I8080_log_parse = function(text) {
+  const re = new RegExp("PC:\\s*([0-9A-F]{4}),?\\s*AF:\\s*([0-9A-F]{4}),?\\s*" +
+                        "BC:\\s*([0-9A-F]{4}),?\\s*DE:\\s*([0-9A-F]{4}),?\\s*" +
+                        "HL:\\s*([0-9A-F]{4}),?\\s*SP:\\s*([0-9A-F]{4})" +
+                        "(?:,?\\s*CYC:\\s*(\\d+))?(?:\\s*\\(([0-9A-F ]*)\\))?" +
+                        "(?:\\s*W:((?:\\s+[0-9A-F]{4}=[0-9A-F]{2})*))?", "i");
+  var entries = [];
+  const lines = text.split(/\r?\n/);
+  for (var i = 0; i < lines.length; ++i) {
+    const m = re.exec(lines[i]);
+    if (!m) continue;
+    const word = function(n) { return parseInt(m[n], 16); };
+    var entry = {
+      pc: word(1),
+      bytes: m[8] ? m[8].trim().split(/\s+/).map(function(s) {
+        return parseInt(s, 16);
+      }) : null,
+      a: word(2) >> 8, f: word(2) & 0xff,
+      b: word(3) >> 8, c: word(3) & 0xff,
+      d: word(4) >> 8, e: word(4) & 0xff,
+      h: word(5) >> 8, l: word(5) & 0xff,
+      sp: word(6),
+      cycles: m[7] !== undefined ? parseInt(m[7], 10) : null
+    };
+    if (m[9] !== undefined) {
+      entry.writes = m[9].trim().split(/\s+/).filter(function(s) {
+        return s.length;
+      }).map(function(s) {
+        return [parseInt(s.substring(0, 4), 16), parseInt(s.substring(5), 16)];
+      });
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.Recorder = Recorder;
+  module.exports.RECORDER_MAGIC = RECORDER_MAGIC;
+  module.exports.I8080_log_record = I8080_log_record;
+  module.exports.I8080_log_get32 = I8080_log_get32;
+  module.exports.I8080_log_put32 = I8080_log_put32;
+  module.exports.I8080_log_decode = I8080_log_decode;
+  module.exports.I8080_log_line = I8080_log_line;
+  module.exports.I8080_log_writes = I8080_log_writes;
+  module.exports.I8080_log_parse = I8080_log_parse;
+}
@@ -0,0 +1,250 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Radio-86RK. The memory map:
+//   0000-7FFF  RAM (the screen at 76D0, 78 x 30 characters),
+//   8000-9FFF  8255 of the keyboard (PA - the scan lines, PB - the
+//              return lines, PC5-PC7 - SS, US, RUS/LAT),
+//   A000-BFFF  the second 8255 (the user port),
+//   C000-DFFF  8275 CRT controller,
+//   E000-F7FF  8257 DMA controller (writes), the ROM (reads),
+//   F800-FFFF  the monitor ROM, the entry at F800.
+//
+//   var rk = new RK86({ rom: files["mon32.bin"].image });
+//   rk.run(50);                        // 50 frames, 1 second
+//   rk.keyboard.type("D0,FF\r");
+//   rk.text();                         // the screen as text
+//   rk.load(tape);                     // a .rk file into the memory
+//
+// The CPU runs at 1.78 MHz, a frame is 1/50 s. After every frame the
+// 8275 fetches the screen through the channel 2 of the DMA, the DMA
+// cycles taken from the CPU are not emulated.
+
+const RK86_CLOCK = 1777777;
+const RK86_FRAME = Math.floor(RK86_CLOCK / 50);
+
+// The keyboard matrix: [scan line][return line].
+const RK86_KEYS = [
+  ["HOME", "CLEAR", "ESC", "F1", "F2", "F3", "F4", "F5"],
+  ["TAB", "LF", "CR", "BACKSPACE", "LEFT", "UP", "RIGHT", "DOWN"],
+  ["0", "1", "2", "3", "4", "5", "6", "7"],
+  ["8", "9", ":", ";", ",", "-", ".", "/"],
+  ["@", "A", "B", "C", "D", "E", "F", "G"],
+  ["H", "I", "J", "K", "L", "M", "N", "O"],
+  ["P", "Q", "R", "S", "T", "U", "V", "W"],
+  ["X", "Y", "Z", "[", "\\", "]", "^", "SPACE"]
+];
+
+// The characters 60-7E of the character generator are Cyrillic.
+const RK86_CYRILLIC = "ЮАБЦДЕФГХИЙКЛМНОПЯРСТУЖВЬЫЗШЭЩЧ";
+
+/** @constructor */
+function RK86(options) {
+  this.options = options || {};
+  const that = this;
+
+  this.memory = new Memory();
+  this.keyboard = new RK86_Keyboard(this.options.keyboard);
+  this.ppi = new I8255({
+    input: function(port) { return that.keyboard.input(port, that.ppi.latch[0]); }
+  });
+  this.ppi2 = new I8255();
+  this.crt = new I8275();
+  this.dma = new I8257(this.memory);
+
+  var rom = this.options.rom || [];
+  this.rom = this.memory.map_rom(0xF800, rom.length ? rom : [0xFF]);
+  const mirror = function(device) {
+    return {
+      read: function(offset) { return device.read(offset & 3); },
+      write: function(offset, w8) { device.write(offset & 3, w8); }
+    };
+  };
+  this.memory.map_device(0x8000, 0x2000, mirror(this.ppi));
+  this.memory.map_device(0xA000, 0x2000, mirror(this.ppi2));
+  this.memory.map_device(0xC000, 0x2000, {
+    read: function(offset) { return that.crt.read(offset & 1); },
+    write: function(offset, w8) { that.crt.write(offset & 1, w8); }
+  });
+  this.memory.map_device(0xE000, 0x1800, {
+    read: function(offset) { return that.rom[offset & (that.rom.length - 1)]; },
+    write: function(offset, w8) { that.dma.write(offset & 0x0f, w8); }
+  });
+
+  // The IO ports are not decoded.
+  this.io = {
+    input: function(port) { return 0xFF; },
+    output: function(port, w8) {},
+    interrupt: function(iff) {}
+  };
+  this.cpu = new I8080(this.memory, this.io);
+  this.cpu.jump(0xF800);
+  this.frames = 0;
+}
+
+// Runs the frames (1 by default).
+RK86.prototype.run = function(frames) {
+  const that = this;
+  const fetch = function() { return that.dma.read_memory(2); };
+  for (var i = 0; i < (frames || 1); ++i) {
+    this.cpu.run(RK86_FRAME);
+    this.crt.frame(fetch);
+    this.keyboard.frame();
+    this.frames += 1;
+  }
+}
+
+// The screen: the lines of cols characters, see RK86_char().
+RK86.prototype.text = function() {
+  var lines = [];
+  for (var row = 0; row < this.crt.rows; ++row) {
+    var line = "";
+    const codes = this.crt.row(row);
+    for (var i = 0; i < codes.length; ++i) line += RK86_char(codes[i]);
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+// Loads the tape file into the memory, returns { start, end }.
+RK86.prototype.load = function(tape) {
+  const file = RK86_tape(tape);
+  for (var i = 0; i < file.image.length; ++i)
+    this.memory.write(file.start + i, file.image[i]);
+  return { start: file.start, end: file.end };
+}
+
+// The Unicode character of the code: ASCII for 20-5F, Cyrillic for
+// 60-7E, a block for 7F and a space for the pseudographics 00-1F.
+RK86_char = function(code) {
+  code &= 0x7f;
+  if (code < 0x20) return " ";
+  if (code < 0x60) return String.fromCharCode(code);
+  if (code < 0x7f) return RK86_CYRILLIC[code - 0x60];
+  return "█";
+}
+
+// Parses the .rk file: the optional E6 sync byte, the big-endian start
+// and end addresses and the bytes. The checksum after them is ignored.
+RK86_tape = function(data) {
+  const byte = function(i) {
+    return typeof data === "string" ? data.charCodeAt(i) & 0xff : data[i];
+  };
+  var i = byte(0) == 0xE6 ? 1 : 0;
+  if (data.length < i + 4) throw("Invalid .rk file");
+  const start = (byte(i) << 8) | byte(i + 1);
+  const end = (byte(i + 2) << 8) | byte(i + 3);
+  if (end < start || data.length < i + 4 + end - start + 1)
+    throw("Invalid .rk file: " + start.toString(16) + "-" + end.toString(16));
+  var image = [];
+  for (var j = 0; j <= end - start; ++j) image.push(byte(i + 4 + j));
+  return { start: start, end: end, image: image };
+}
+
+// The keyboard matrix and the modifiers. The keys are the names in
+// RK86_KEYS, or in the matrix of options.keys, and "SS", "US", "RUS".
+// type() presses the keys of the characters one by one, each one for
+// options.hold frames with options.gap frames between them.
+/** @constructor */
+function RK86_Keyboard(options) {
+  this.options = options || {};
+  this.hold = this.options.hold || 3;
+  this.gap = this.options.gap || 3;
+
+  // [scan line] = the pressed return lines.
+  this.matrix = [0, 0, 0, 0, 0, 0, 0, 0];
+  this.modifiers = 0;
+  this.queue = [];
+  this.timer = 0;
+  this.current = null;
+
+  const matrix = this.options.keys || RK86_KEYS;
+  this.keys = {};
+  for (var row = 0; row < matrix.length; ++row)
+    for (var bit = 0; bit < 8; ++bit)
+      this.keys[matrix[row][bit]] = { row: row, bit: bit };
+  this.keys[" "] = this.keys.SPACE;
+}
+
+const RK86_MODIFIERS = { SS: 0x20, US: 0x40, RUS: 0x80 };
+
+RK86_Keyboard.prototype.key = function(name, pressed) {
+  if (RK86_MODIFIERS[name]) {
+    if (pressed) this.modifiers |= RK86_MODIFIERS[name];
+    else this.modifiers &= ~RK86_MODIFIERS[name];
+    return;
+  }
+  const key = this.keys[name];
+  if (!key) throw("Unknown key: " + name);
+  if (pressed) this.matrix[key.row] |= 1 << key.bit;
+  else this.matrix[key.row] &= ~(1 << key.bit);
+}
+
+RK86_Keyboard.prototype.press = function(name) {
+  this.key(name, true);
+}
+
+RK86_Keyboard.prototype.release = function(name) {
+  this.key(name, false);
+}
+
+// The keys of the character: the key and SS for the shifted ones.
+RK86_Keyboard.prototype.keys_of = function(c) {
+  const names = { "\r": "CR", "\n": "LF", "\t": "TAB", "\b": "LEFT",
+                  "\x7f": "BACKSPACE", "\x1b": "ESC", "\x0c": "HOME",
+                  "\x1f": "CLEAR" };
+  if (names[c]) return [names[c]];
+  c = c.toUpperCase();
+  if (this.keys[c]) return [c];
+  const code = c.charCodeAt(0);
+  if (code >= 0x20 && code < 0x40 && this.keys[String.fromCharCode(code ^ 0x10)])
+    return ["SS", String.fromCharCode(code ^ 0x10)];
+  throw("No key for the character: " + JSON.stringify(c));
+}
+
+RK86_Keyboard.prototype.type = function(text) {
+  for (var i = 0; i < text.length; ++i) this.queue.push(this.keys_of(text[i]));
+}
+
+// Advances type() by a frame.
+RK86_Keyboard.prototype.frame = function() {
+  if (this.timer > 0 && --this.timer > 0) return;
+  if (this.current !== null) {
+    for (var i = 0; i < this.current.length; ++i) this.release(this.current[i]);
+    this.current = null;
+    this.timer = this.gap;
+    return;
+  }
+  if (!this.queue.length) return;
+  this.current = this.queue.shift();
+  for (var i = 0; i < this.current.length; ++i) this.press(this.current[i]);
+  this.timer = this.hold;
+}
+
+// The 8255 inputs: PB - the return lines of the scan lines selected by
+// 0 in PA, PC - the modifiers, active low.
+RK86_Keyboard.prototype.input = function(port, scan) {
+  if (port == 1) {
+    var lines = 0;
+    for (var row = 0; row < 8; ++row)
+      if (!(scan & (1 << row))) lines |= this.matrix[row];
+    return ~lines & 0xff;
+  }
+  if (port == 2) return ~this.modifiers & 0xff;
+  return 0xFF;
+}
@@ -16,35 +16,6 @@
 // along with this program; if not, write to the Free Software
 // Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
 
-function Memory() {
-  this.mem = [];
-  for (var i = 0x0000; i < 0x10000; i++) {
-    this.mem[i] = 0;
-  }
-
-  this.read = function(addr) {
-    return this.mem[addr & 0xffff];
-  }
-
-  this.write = function(addr, w8) {
-    this.mem[addr & 0xffff] = w8;
-  }
-
-  this.load_file = function (files, name) {
-    if (files[name] == null) {
-      console.log("File " + name + " is not found");
-      return;
-    }
-    var end = files[name].start + files[name].image.length - 1;
-    for (var i = files[name].start; i <= end; ++i)
-      this.write(i, files[name].image.charCodeAt(i - files[name].start));
-
-    console.log("*********************************");
-    var size = files[name].end - files[name].start + 1;
-    console.log("File \"" + name + "\" loaded, size " + size);
-  }
-}
-
 function IO() {
   this.input = function(port) { return 0; }
   this.output = function(port, w8) {}
@@ -66,7 +37,21 @@ console.putchar = function(c) {
   }
 }
 
-function execute_test(filename, success_check) {
+// Returns check(title, value, expected) which reports the value
+// different from the expected one. check.success is false after that.
+function checker() {
+  const check = function(title, value, expected) {
+    if (value != expected) {
+      console.log(title + " = " + value.toString(16) +
+                  ", expected " + expected.toString(16));
+      check.success = false;
+    }
+  };
+  check.success = true;
+  return check;
+}
+
+function execute_test(filename, success_check, cpu_class) {
   files = preloaded_files();
 
   var success = 0;
@@ -76,7 +61,7 @@ function execute_test(filename, success_check) {
 
   mem.write(5, 0xC9);  // Inject RET at 0x0005 to handle "CALL 5".
 
-  var cpu = new I8080(mem, new IO());
+  var cpu = new (cpu_class || I8080)(mem, new IO());
 
   cpu.jump(0x100);
 
@@ -90,11 +75,6 @@ function execute_test(filename, success_check) {
     // if (!confirm(I8080_trace(cpu))) return;
 
     var pc = cpu.pc;
-    if (mem.read(pc) == 0x76) {
-      console.log("HLT at " + pc.toString(16));
-      console.flush();
-      return false;
-    }
     if (pc == 0x0005) { 
       if (cpu.c() == 9) {
         // Print till '$'.
@@ -106,6 +86,11 @@ function execute_test(filename, success_check) {
       if (cpu.c() == 2) console.putchar(cpu.e());
     }
     cpu.instruction();
+    if (cpu.isHalted()) {
+      console.log("HLT at " + pc.toString(16));
+      console.flush();
+      return false;
+    }
     if (cpu.pc == 0) {
       console.flush();
       console.log("Jump to 0000 from " + pc.toString(16));
@@ -116,6 +101,1604 @@ function execute_test(filename, success_check) {
   }
 }
 
+// Checks the ROM, device and bank mappings of the memory and the saving
+// of the selected banks.
+function memory_test() {
+  console.log("*********************************");
+  console.log("Memory test");
+
+  var check = checker();
+
+  var mem = new Memory();
+
+  mem.map_rom(0xF800, "\x11\x22\x33");
+  mem.write(0xF800, 0x99);
+  check("ROM write", mem.read(0xF800), 0x11);
+  check("ROM tail", mem.read(0xF803), 0x00);
+  mem.write(0xF7FF, 0x55);
+  check("RAM below ROM", mem.read(0xF7FF), 0x55);
+
+  var accesses = [];
+  mem.map_device(0xC000, 0x200, {
+    read: function(offset, stackrq) {
+      accesses.push("r" + offset.toString(16) + (stackrq ? "s" : ""));
+      return 0x1A5;
+    },
+    write: function(offset, w8, stackrq) {
+      accesses.push("w" + offset.toString(16) + "=" + w8.toString(16) +
+                    (stackrq ? "s" : ""));
+    }
+  });
+  check("device read", mem.read(0xC123), 0xA5);
+  mem.write(0xC1FF, 0x3C, true);
+  check("device accesses", accesses.join(), "r123,w1ff=3cs");
+  check("RAM above device", mem.read(0xC200), 0x00);
+
+  var w = mem.map_banks(0x4000, 0x4000, 4);
+  mem.bank_port(0x10, w);
+  var io = new IO();
+  io.output = function(port, w8) { mem.output(port, w8); }
+  var program = [
+    0x21, 0x00, 0x40,   // 0000  lxi h, 4000h
+    0x36, 0xB0,         // 0003  mvi m, 0B0h
+    0x3E, 0x02,         // 0005  mvi a, 2
+    0xD3, 0x10,         // 0007  out 10h         ; bank 2
+    0x36, 0xB2,         // 0009  mvi m, 0B2h
+    0x76,               // 000B  hlt
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  var cpu = new I8080(mem, io);
+  cpu.run(1000, { halt: true });
+  check("bank 2", mem.read(0x4000), 0xB2);
+  check("unmapped port", mem.output(0x11, 0), false);
+  mem.select_bank(w, 0);
+  check("bank 0", mem.read(0x4000), 0xB0);
+  mem.select_bank(w, 5);
+  check("bank 5 wraps to 1", mem.read(0x4000), 0x00);
+  check("base RAM under the window", mem.ram[0x4000], 0x00);
+
+  mem.select_bank(w, 2);
+  var saved = JSON.stringify(mem.getState());
+  mem.write(0x4000, 0xEE);
+  mem.select_bank(w, 0);
+  mem.write(0x4000, 0xEE);
+  mem.setState(JSON.parse(saved));
+  check("restored bank", mem.windows[w].bank, 2);
+  check("restored bank 2", mem.read(0x4000), 0xB2);
+  mem.select_bank(w, 0);
+  check("restored bank 0", mem.read(0x4000), 0xB0);
+  check("ROM after restore", mem.read(0xF800), 0x11);
+
+  var error = null;
+  try {
+    mem.map_banks(0x4080, 0x100, 2);
+  } catch (e) {
+    error = e;
+  }
+  check("unaligned region", error,
+        "Memory region 4080/100 is not aligned to pages");
+
+  console.log(check.success ? "Memory test OK" : "Memory test FAILED");
+  return check.success;
+}
+
+// Checks that PUSH, POP, CALL, RET and XTHL use the stack bank of the
+// memory while the ordinary loads and stores do not.
+function stack_bank_test() {
+  var mem = new Memory();
+  mem.map_stack(4);
+  mem.stack_port(0x10, function(w8) { return w8 & 0x10 ? w8 & 0x03 : -1; });
+
+  var io = new IO();
+  io.output = function(port, w8) { mem.output(port, w8); }
+
+  var program = [
+    0x31, 0x00, 0x80,   // 0000  lxi sp, 8000h
+    0x3E, 0x11,         // 0003  mvi a, 11h
+    0xD3, 0x10,         // 0005  out 10h         ; stack in the bank 1
+    0x21, 0x34, 0x12,   // 0007  lxi h, 1234h
+    0xE5,               // 000A  push h
+    0xCD, 0x20, 0x00,   // 000B  call 0020h
+    0x21, 0x78, 0x56,   // 000E  lxi h, 5678h
+    0xE3,               // 0011  xthl
+    0xD1,               // 0012  pop d
+    0xAF,               // 0013  xra a
+    0xD3, 0x10,         // 0014  out 10h         ; stack in the memory
+    0xD5,               // 0016  push d
+    0x3A, 0xFE, 0x7F,   // 0017  lda 7ffeh
+    0x76,               // 001A  hlt
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  mem.write(0x0020, 0xC9);  // 0020  ret
+
+  console.log("*********************************");
+  console.log("Stack bank test");
+
+  var cpu = new I8080(mem, io);
+  cpu.run(1000, { halt: true });
+
+  var bank = mem.stack_banks[1];
+  var checks = [
+    [ "HL", cpu.hl(), 0x1234 ],
+    [ "DE", cpu.de(), 0x5678 ],
+    [ "SP", cpu.sp, 0x7ffe ],
+    [ "A (lda 7ffeh)", cpu.a(), 0x78 ],
+    [ "bank[7FFC] (call)", bank[0x7ffc] | (bank[0x7ffd] << 8), 0x000E ],
+    [ "bank[7FFE] (xthl)", bank[0x7ffe] | (bank[0x7fff] << 8), 0x5678 ],
+    [ "memory[7FFC]", mem.read(0x7ffc) | (mem.read(0x7ffd) << 8), 0x0000 ],
+  ];
+  var success = cpu.isHalted() && cpu.pc == 0x1b;
+  for (var i = 0; i < checks.length; ++i) {
+    if (checks[i][1] != checks[i][2]) {
+      console.log(checks[i][0] + " = " + checks[i][1].toString(16) +
+                  ", expected " + checks[i][2].toString(16));
+      success = false;
+    }
+  }
+
+  var error = null;
+  try {
+    new Memory().select_stack(0);
+  } catch (e) {
+    error = e;
+  }
+  if (error != "No stack banks to select bank 0") {
+    console.log("select_stack without banks: " + error);
+    success = false;
+  }
+
+  console.log(success ? "Stack bank test OK" : "Stack bank test FAILED");
+  return success;
+}
+
+// Drives the INTR line with RST, CALL and function vectors and checks
+// that the requests wait for EI and that a failing device leaves the
+// opcode fetch to the memory.
+function interrupt_test() {
+  var mem = new Memory();
+  var program = [
+    0x31, 0x00, 0x10,   // 0000  lxi sp, 1000h
+    0xFB,               // 0003  ei
+    0x00,               // 0004  nop
+    0x00,               // 0005  nop
+    0x76,               // 0006  hlt
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  mem.write(0x0028, 0xC9);  // 0028  ret
+  mem.write(0x0038, 0xC9);  // 0038  ret
+  mem.write(0x2000, 0xC9);  // 2000  ret
+
+  console.log("Interrupt test");
+
+  var cpu = new I8080(mem, new IO());
+  var check = checker();
+  var top = function() {
+    return mem.read(cpu.sp) | (mem.read(cpu.sp + 1) << 8);
+  };
+
+  cpu.irq(0xFF);                        // RST 7
+  cpu.instruction();
+  cpu.instruction();
+  check("EI, iff", cpu.iff, false);
+  cpu.instruction();
+  check("after EI, pc", cpu.pc, 0x05);
+  check("after EI, iff", cpu.iff, true);
+  cpu.instruction();
+  check("RST 7, pc", cpu.pc, 0x38);
+  check("RST 7, return address", top(), 0x05);
+  check("RST 7, iff", cpu.iff, false);
+  check("RST 7, intr", cpu.intr, null);
+  cpu.instruction();
+
+  cpu.irq([0xCD, 0x00, 0x20]);          // CALL 2000h
+  cpu.instruction();
+  check("DI, pc", cpu.pc, 0x06);
+  cpu.iff = true;
+  cpu.instruction();
+  check("CALL, pc", cpu.pc, 0x2000);
+  check("CALL, return address", top(), 0x06);
+  cpu.instruction();
+
+  cpu.iff = true;
+  cpu.irq(function(n) {
+    if (n == 0) return 0xCD;
+    throw("bus error");
+  });
+  var error = null;
+  try {
+    cpu.instruction();
+  } catch (e) {
+    error = e;
+  }
+  check("device error", error, "bus error");
+  check("device error, fetch restored", cpu.hasOwnProperty("next_pc_byte"),
+        false);
+  cpu.jump(0x06);
+  cpu.iff = true;
+  cpu.irq(0xFF);
+  cpu.irq(null);
+  cpu.instruction();
+  check("dropped request, halted", cpu.isHalted(), true);
+
+  cpu.iff = true;
+  cpu.irq(0xEF);                        // RST 5 wakes up from HLT
+  cpu.instruction();
+  check("RST 5, pc", cpu.pc, 0x28);
+  check("RST 5, return address", top(), 0x07);
+  check("RST 5, halted", cpu.isHalted(), false);
+
+  console.log(check.success ? "Interrupt test OK" : "Interrupt test FAILED");
+  return check.success;
+}
+
+// Checks the reasons of run(): the budget with the overshoot charged to
+// the next run, a breakpoint at the current pc and resuming from it, the
+// stop requested by an IO handler and between the runs, the predicate
+// and HLT.
+function run_test() {
+  console.log("Run test");
+
+  var mem = new Memory();
+  var program = [
+    0x00, 0x00, 0x00, 0x00,   // 0000  nop x 4
+    0xD3, 0x10,               // 0004  out 10h       ; requests the stop
+    0x00,                     // 0006  nop
+    0x00,                     // 0007  nop
+    0x76                      // 0008  hlt
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  var io = new IO();
+  var cpu = new I8080(mem, io);
+  io.output = function(port, w8) { cpu.request_stop(); }
+
+  const stop = function(cpu) { return cpu.pc == 7; };
+  var runs = [
+    [ [6], "cycles", 8, 0x0002 ],
+    [ [6], "cycles", 4, 0x0003 ],
+    [ [100, { breakpoints: [3] }], "breakpoint", 0, 0x0003 ],
+    [ [100, { breakpoints: [3], resume: true }], "request", 14, 0x0006 ],
+    [ null, "request", 0, 0x0006 ],
+    [ [100, { stop: stop }], "stop", 4, 0x0007 ],
+    [ [100, { halt: true }], "halt", 11, 0x0009 ]
+  ];
+  var success = true;
+  for (var i = 0; i < runs.length; ++i) {
+    const run = runs[i];
+    // Without the arguments the stop is requested before the run.
+    if (run[0] === null) cpu.request_stop();
+    const r = run[0] === null ? cpu.run(100) : cpu.run.apply(cpu, run[0]);
+    if (r.reason != run[1] || r.cycles != run[2] || cpu.pc != run[3]) {
+      console.log("Run " + i + ": " + r.reason + " " + r.cycles + " at " +
+                  "%04X".format(cpu.pc) + ", expected " + run[1] + " " +
+                  run[2] + " at " + "%04X".format(run[3]));
+      success = false;
+    }
+  }
+  success = success && !cpu.stop_requested;
+
+  console.log(success ? "Run test OK" : "Run test FAILED");
+  return success;
+}
+
+// Takes a snapshot of the CPU and the memory in the middle of TEST.COM,
+// runs further, then restores the snapshot into the same and into a new
+// machine and checks that both end up in the same state.
+function state_test() {
+  files = preloaded_files();
+
+  console.log("*********************************");
+  console.log("State test");
+
+  var machine = function() {
+    var mem = new Memory();
+    mem.load_file(files, "TEST.COM");
+    mem.write(5, 0xC9);
+    return new I8080(mem, new IO());
+  }
+  var state = function(cpu) {
+    return JSON.stringify({ cpu: cpu.getState(), mem: cpu.memory.getState() });
+  }
+  var restore = function(cpu, snapshot) {
+    snapshot = JSON.parse(snapshot);
+    cpu.setState(snapshot.cpu);
+    cpu.memory.setState(snapshot.mem);
+  }
+
+  var cpu = machine();
+  cpu.jump(0x100);
+  cpu.run(5000);
+  var snapshot = state(cpu);
+  cpu.run(3000);
+  var expected = state(cpu);
+
+  var success = snapshot != expected;
+
+  restore(cpu, snapshot);
+  success = success && state(cpu) == snapshot;
+  cpu.run(3000);
+  success = success && state(cpu) == expected;
+
+  var copy = machine();
+  restore(copy, snapshot);
+  success = success && state(copy) == snapshot;
+  copy.run(3000);
+  success = success && state(copy) == expected;
+
+  var error = null;
+  try {
+    copy.setState({ version: 2 });
+  } catch (e) {
+    error = e;
+  }
+  success = success && error == "Unsupported I8080 state version: 2";
+
+  // The interrupt requests through JSON: RST and CALL vectors are kept,
+  // a function vector and a missing field become no request.
+  var vectors = [
+    [ 0xFF, "255" ],
+    [ [0xCD, 0x00, 0x20], "205,0,32" ],
+    [ function(n) { return 0xFF; }, "null" ],
+    [ undefined, "null" ],
+  ];
+  for (var i = 0; i < vectors.length; ++i) {
+    cpu.irq(vectors[i][0]);
+    var saved = JSON.parse(JSON.stringify(cpu.getState()));
+    if (vectors[i][0] === undefined) delete saved.intr;
+    copy.setState(saved);
+    success = success && String(copy.intr) == vectors[i][1];
+  }
+  copy.iff = true;
+  copy.halted = false;
+  var pc = copy.pc;
+  copy.instruction();
+  success = success && copy.pc != 0x38 && copy.pc != pc;
+
+  console.log(success ? "State test OK" : "State test FAILED");
+  return success;
+}
+
+// Runs a test program on two CPUs in lockstep, one of them with the bus
+// hook and the wait states, and checks that the machine cycles of every
+// instruction add up to the instruction time.
+function bus_cycles_test(filename, cpu_class) {
+  files = preloaded_files();
+
+  console.log("*********************************");
+  console.log("Bus cycles test, " + filename);
+
+  var machine = function() {
+    var mem = new Memory();
+    mem.load_file(files, filename);
+    mem.write(5, 0xC9);
+    var cpu = new (cpu_class || I8080)(mem, new IO());
+    cpu.jump(0x100);
+    return cpu;
+  }
+  var plain = machine();
+  var timed = machine();
+  var waited = machine();
+
+  var tstates = 0;
+  var count = 0;
+  timed.set_bus_hook(function(type, addr, t, w8) { tstates += t; ++count; });
+  var waits = { M1: 1, MW: 2, SW: 2 };
+  waited.set_wait_states(function(type, addr, t, elapsed) {
+    return waits[type] || 0;
+  });
+
+  var success = true;
+  var opcodes = {};
+  for (var n = 0; n < 20000 && plain.pc != 0; ++n) {
+    var opcode = plain.memory.read(plain.pc);
+    var cycles = plain.instruction();
+    tstates = count = 0;
+    var timed_cycles = timed.instruction();
+    var expected_waits = 0;
+    var vcycles = 0;
+    for (var i = 0; i < timed.mcycles.length; ++i) {
+      expected_waits += waits[timed.mcycles[i]] || 0;
+      vcycles += Math.ceil(timed.tstates[i] / 4) * 4;
+    }
+    var waited_cycles = waited.instruction();
+    if (timed_cycles != cycles || tstates != cycles ||
+        count != timed.mcycles.length || timed.pc != plain.pc ||
+        waited_cycles != cycles + expected_waits || waited.pc != plain.pc ||
+        plain.vcycles != vcycles) {
+      console.log("Opcode " + "%02X".format(opcode) + ": cycles " + cycles +
+                  ", vcycles " + plain.vcycles + ", expected " + vcycles +
+                  ", timed " + timed_cycles + ", machine cycles " + tstates +
+                  " " + timed.mcycles.join() + ", waited " + waited_cycles);
+      success = false;
+      break;
+    }
+    opcodes[opcode] = true;
+  }
+  console.log(Object.keys(opcodes).length + " opcodes checked");
+
+  console.log(success ? "Bus cycles test OK" : "Bus cycles test FAILED");
+  return success;
+}
+
+// Checks the machine cycle types of a few instructions.
+function machine_cycles_test() {
+  console.log("*********************************");
+  console.log("Machine cycles test");
+
+  var tests = [
+    [ [0x00],             "M1" ],                        // nop
+    [ [0x36, 0x12],       "M1,MR,MW" ],                  // mvi m, 12h
+    [ [0x09],             "M1,IDLE,IDLE" ],              // dad b
+    [ [0xC5],             "M1,SW,SW" ],                  // push b
+    [ [0xCD, 0x00, 0x10], "M1,MR,MR,SW,SW" ],            // call 1000h
+    [ [0xE3],             "M1,SR,SR,SW,SW" ],            // xthl
+    [ [0xDB, 0x10],       "M1,MR,IOR" ],                 // in 10h
+    [ [0x76],             "M1,HALT" ],                   // hlt
+  ];
+
+  var success = true;
+  for (var i = 0; i < tests.length; ++i) {
+    var mem = new Memory();
+    for (var j = 0; j < tests[i][0].length; ++j) mem.write(j, tests[i][0][j]);
+    var cpu = new I8080(mem, new IO());
+    cpu.set_bus_hook(function() {});
+    cpu.sp = 0x8000;
+    var cycles = cpu.instruction();
+    var tstates = 0;
+    for (var j = 0; j < cpu.tstates.length; ++j) tstates += cpu.tstates[j];
+    if (cpu.mcycles.join() != tests[i][1] || tstates != cycles) {
+      console.log("Opcode " + "%02X".format(tests[i][0][0]) + ": " +
+                  cpu.mcycles.join() + " " + cpu.tstates.join() +
+                  ", cycles " + cycles + ", expected " + tests[i][1]);
+      success = false;
+    }
+  }
+
+  // The halt state, then the untimed methods are back without the policy.
+  var mem = new Memory();
+  mem.write(0, 0x76);                   // 0000  hlt
+  var cpu = new I8080(mem, new IO());
+  cpu.set_wait_states(function(type) { return type == "HALT" ? 1 : 0; });
+  cpu.instruction();
+  var cycles = cpu.instruction();
+  if (cpu.mcycles.join() != "HALT" || cycles != 5) {
+    console.log("Halt state: " + cpu.mcycles.join() + ", cycles " + cycles);
+    success = false;
+  }
+  cpu.set_wait_states(null);
+  if (cpu.hasOwnProperty("instruction") ||
+      cpu.hasOwnProperty("memory_read_byte") || cpu.instruction() != 4) {
+    console.log("Timing is not turned off");
+    success = false;
+  }
+
+  console.log(success ? "Machine cycles test OK" : "Machine cycles test FAILED");
+  return success;
+}
+
+// Drives the 8085 interrupt inputs and checks the restarts taken.
+function i8085_interrupt_test() {
+  var mem = new Memory();
+  var program = [
+    0x31, 0x00, 0x10,   // 0000  lxi sp, 1000h
+    0xFB,               // 0003  ei
+    0x76,               // 0004  hlt
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+
+  console.log("*********************************");
+  console.log("8085 interrupt test");
+
+  var cpu = new I8085(mem, new IO());
+  var check = checker();
+  var enable = function() {
+    cpu.pc = 0x0003;
+    cpu.run(100, { halt: true });
+  }
+
+  cpu.run(100, { halt: true });
+  cpu.sim(0x08);                        // unmask all
+  check("halted", cpu.isHalted(), true);
+  cpu.set_rst55(1);
+  cpu.set_rst65(1);
+  cpu.instruction();
+  check("RST 6.5 before 5.5", cpu.pc, 0x34);
+  check("return address", mem.read(cpu.sp) | (mem.read(cpu.sp + 1) << 8), 5);
+  check("halted", cpu.isHalted(), false);
+  cpu.set_rst65(0);
+
+  enable();
+  cpu.rst75();
+  cpu.instruction();
+  check("RST 7.5 before 5.5", cpu.pc, 0x3C);
+  check("RST 7.5 latch", cpu.rim() & 0x40, 0);
+
+  cpu.set_rst55(0);
+  cpu.sim(0x0F);                        // mask all
+  cpu.rst75();
+  enable();
+  cpu.instruction();
+  check("masked RST 7.5", cpu.pc, 0x05);
+  check("RST 7.5 pending", cpu.rim() & 0x40, 0x40);
+  cpu.sim(0x10);                        // reset RST 7.5
+  check("RST 7.5 reset", cpu.rim() & 0x40, 0);
+
+  cpu.iff = false;
+  cpu.trap();
+  cpu.instruction();
+  check("TRAP", cpu.pc, 0x24);
+  check("interrupt enable before TRAP", cpu.rim() & 0x08, 0);
+
+  console.log(check.success ? "8085 interrupt test OK" :
+                              "8085 interrupt test FAILED");
+  return check.success;
+}
+
+function i8085_undocumented_test() {
+  var mem = new Memory();
+  var program = [
+    0x31, 0x00, 0x10,   // 0000  lxi sp, 1000h
+    0x21, 0x34, 0x12,   // 0003  lxi h, 1234h
+    0x01, 0x35, 0x02,   // 0006  lxi b, 0235h
+    0x08,               // 0009  dsub
+    0x10,               // 000A  arhl
+    0x11, 0x01, 0x80,   // 000B  lxi d, 8001h
+    0x18,               // 000E  rdel
+    0x28, 0x10,         // 000F  ldhi 10h
+    0x38, 0x02,         // 0011  ldsi 02h
+    0xD9,               // 0013  shlx
+    0x21, 0x00, 0x00,   // 0014  lxi h, 0
+    0xED,               // 0017  lhlx
+    0x76,               // 0018  hlt
+  ];
+  var program2 = [
+    0x11, 0xFF, 0xFF,   // 0020  lxi d, 0FFFFh
+    0x13,               // 0023  inx d
+    0xFD, 0x30, 0x00,   // 0024  jk 0030h
+    0x76,               // 0027  hlt
+  ];
+  var program3 = [
+    0x3E, 0x7F,         // 0030  mvi a, 7Fh
+    0x3C,               // 0032  inr a
+    0xCB,               // 0033  rstv
+    0x76,               // 0034  hlt
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  for (var i = 0; i < program2.length; ++i) mem.write(0x20 + i, program2[i]);
+  for (var i = 0; i < program3.length; ++i) mem.write(0x30 + i, program3[i]);
+  mem.write(0x40, 0x76);                // 0040  hlt
+
+  console.log("*********************************");
+  console.log("8085 undocumented instructions test");
+
+  var cpu = new I8085(mem, new IO(), { undocumented: true });
+  var check = checker();
+
+  // Runs until HLT and checks that vcycles of every instruction are its
+  // machine cycles stretched to 4 clock cycles.
+  cpu.set_bus_hook(function() {});
+  var execute = function() {
+    for (var n = 0; n < 100 && !cpu.isHalted(); ++n) {
+      cpu.instruction();
+      var v = 0;
+      for (var i = 0; i < cpu.tstates.length; ++i)
+        v += Math.ceil(cpu.tstates[i] / 4) * 4;
+      check("vcycles of " + "%02X".format(cpu.last_opcode), cpu.vcycles, v);
+    }
+  }
+
+  execute();
+  check("arhl", cpu.hl(), 0x07FF);
+  check("ldsi, rdel", cpu.de(), 0x1002);
+  check("shlx", mem.read(0x1002) | (mem.read(0x1003) << 8), 0x07FF);
+  check("pc", cpu.pc, 0x19);
+
+  cpu.reset();
+  cpu.pc = 0x20;
+  execute();
+  check("jk, rstv", cpu.pc, 0x41);
+  check("V and K", cpu.store_flags() & 0x22, 0x02);
+
+  console.log(check.success ? "8085 undocumented instructions test OK" :
+                              "8085 undocumented instructions test FAILED");
+  return check.success;
+}
+
+function debugger_test() {
+  var mem = new Memory();
+  var program = [
+    0x31, 0x00, 0x10,   // 0000  lxi sp, 1000h
+    0xCD, 0x10, 0x00,   // 0003  call 0010h
+    0x32, 0x00, 0x20,   // 0006  sta 2000h
+    0xD3, 0x10,         // 0009  out 10h
+    0x76,               // 000B  hlt
+  ];
+  var subroutine = [
+    0x3E, 0x05,         // 0010  mvi a, 05h
+    0xCD, 0x20, 0x00,   // 0012  call 0020h
+    0x3D,               // 0015  dcr a
+    0xC2, 0x15, 0x00,   // 0016  jnz 0015h
+    0xC9,               // 0019  ret
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  for (var i = 0; i < subroutine.length; ++i) mem.write(0x10 + i, subroutine[i]);
+  mem.write(0x20, 0xC9);                // 0020  ret
+
+  console.log("*********************************");
+  console.log("Debugger test");
+
+  var cpu = new I8080(mem, new IO());
+  var dbg = new Debugger(cpu);
+  var check = checker();
+
+  dbg.step();
+  dbg.step_over();
+  check("step over", cpu.pc, 0x06);
+  check("step over, a", cpu.a(), 0);
+
+  cpu.pc = 0x03;
+  dbg.step();
+  check("step into", cpu.pc, 0x10);
+  dbg.set_breakpoint(0x15, "a == 3");
+  var r = dbg.run(1000);
+  check("breakpoint", r.reason, "breakpoint");
+  check("breakpoint, pc", cpu.pc, 0x15);
+  check("breakpoint, a", cpu.a(), 3);
+  dbg.clear_breakpoint(0x15);
+  r = dbg.step_out();
+  check("step out", r.reason, "step");
+  check("step out, pc", cpu.pc, 0x06);
+
+  // A subroutine which never returns uses up the budget of the step.
+  mem.write(0x20, 0xC3);                // 0020  jmp 0020h
+  mem.write(0x21, 0x20);
+  cpu.pc = 0x12;
+  r = dbg.step_over(1000);
+  check("step over, budget", r.reason, "cycles");
+  check("step over, budget, pc", cpu.pc, 0x20);
+  r = dbg.step_out();
+  check("step out, budget", r.reason, "cycles");
+  check("step out, budget, cycles", r.cycles >= 2000000, true);
+  mem.write(0x20, 0xC9);                // 0020  ret
+  dbg.step();
+  check("step out, ret", cpu.pc, 0x15);
+  cpu.pc = 0x06;
+
+  // Detaching a tool attached later keeps the hooks of the debugger.
+  new Profiler(cpu).detach();
+
+  dbg.set_watchpoint("write", 0x2000, 0x100);
+  dbg.set_watchpoint("out", 0x10, 1, "value == 0");
+  r = dbg.run(1000);
+  check("write watchpoint", r.reason, "watchpoint");
+  check("write watchpoint, addr", r.addr, 0x2000);
+  check("write watchpoint, pc", r.pc, 0x06);
+  r = dbg.run(1000);
+  check("out watchpoint", r.reason, "watchpoint");
+  check("out watchpoint, type", r.type, "out");
+  check("out watchpoint, pc", cpu.pc, 0x0B);
+  dbg.detach();
+  check("detach", cpu.hasOwnProperty("memory_write_byte"), false);
+
+  console.log(check.success ? "Debugger test OK" : "Debugger test FAILED");
+  return check.success;
+}
+
+// Runs TEST.COM for a while, then undoes the instructions and checks
+// that the CPU and the memory are back to the saved state.
+function history_test() {
+  files = preloaded_files();
+  var mem = new Memory();
+  mem.load_file(files, "TEST.COM");
+  mem.write(5, 0xC9);
+
+  console.log("History test");
+
+  var cpu = new I8080(mem, new IO());
+  cpu.jump(0x100);
+  var history = new History(cpu, 1000);
+
+  // The overshoot of run() is not a part of the history.
+  var cpu_state = function() {
+    var state = cpu.getState();
+    state.overshoot = 0;
+    return JSON.stringify(state);
+  }
+
+  cpu.run(5000);
+  var saved_cycles = history.cycles;
+  var saved_cpu = cpu_state();
+  var saved_mem = JSON.stringify(mem.getState());
+  cpu.run(2000);
+
+  var success = history.rewind(saved_cycles) &&
+                history.cycles == saved_cycles &&
+                cpu_state() == saved_cpu &&
+                JSON.stringify(mem.getState()) == saved_mem;
+  var n = history.length();
+  success = success && history.step_back(n + 1) == n && !history.undo();
+  history.detach();
+
+  console.log(success ? "History test OK" : "History test FAILED");
+  return success;
+}
+
+// Records TEST.COM and checks the text and binary logs and the filters.
+function recorder_test() {
+  files = preloaded_files();
+  var mem = new Memory();
+  mem.load_file(files, "TEST.COM");
+  mem.write(5, 0xC9);
+
+  console.log("Recorder test");
+
+  var cpu = new I8080(mem, new IO());
+  cpu.jump(0x100);
+  var recorder = new Recorder(cpu);
+  cpu.run(3000);
+  recorder.detach();
+
+  var lines = recorder.text().split("\n");
+  var success =
+    lines[0] == "PC: 0100, AF: 0002, BC: 0000, DE: 0000, HL: 0000, " +
+                "SP: 0000, CYC: 0\t(21 09 01 CD)" &&
+    lines.length == recorder.length() &&
+    JSON.stringify(I8080_log_decode(recorder.binary())) ==
+      JSON.stringify(I8080_log_parse(recorder.text()));
+
+  cpu.jump(0x100);
+  var calls = new Recorder(cpu, { types: ["call"], ranges: [[0x100, 0x2ff]] });
+  cpu.run(3000);
+  calls.detach();
+  for (var i = 0; i < calls.length(); ++i) {
+    var entry = calls.entry(i);
+    var instr = I8080_disasm(entry.bytes);
+    if (!instr.call || entry.pc > 0x2ff) success = false;
+  }
+  success = success && calls.length() > 0;
+
+  // The halt state is not recorded, the interrupt is recorded with the
+  // vector. The lockstep replay steps over the halt state in the same way.
+  var program = [
+    0x31, 0x00, 0x10,   // 0000  lxi sp, 1000h
+    0xFB,               // 0003  ei
+    0x76,               // 0004  hlt
+    0x00,               // 0005  nop
+    0x76,               // 0006  hlt
+  ];
+  var machine = function() {
+    var mem = new Memory();
+    for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+    mem.write(0x38, 0xC9);              // 0038  ret
+    return new I8080(mem, new IO());
+  }
+  cpu = machine();
+  recorder = new Recorder(cpu, { writes: true });
+  var rsts = new Recorder(cpu, { types: ["call"] });
+  cpu.run(1000, { halt: true });
+  for (var i = 0; i < 3; ++i) cpu.instruction();
+  cpu.irq(0xFF);
+  cpu.run(1000, { halt: true });
+  rsts.detach();
+  recorder.detach();
+  var pcs = [];
+  for (var i = 0; i < recorder.length(); ++i)
+    pcs.push("%04X".format(recorder.entry(i).pc));
+  var rst = recorder.entry(3);
+  success = success && pcs.join() == "0000,0003,0004,0005,0038,0005,0006" &&
+    rst.bytes.join() == [0xFF, 0, 0, 0].join() && rst.cycles == 10 + 4 + 7 + 12 &&
+    I8080_log_writes(rst.writes, "") == I8080_log_writes([[0x0FFF, 0x00], [0x0FFE, 0x05]], "") &&
+    rsts.length() == 1 && rsts.entry(0).pc == 0x05;
+
+  var lockstep = new Lockstep(machine(), I8080_log_decode(recorder.binary()));
+  var r = lockstep.run();
+  success = success && r.reason == "halt" && r.index == 3;
+  for (var i = 0; i < 3; ++i) lockstep.step();
+  lockstep.cpu.irq(0xFF);
+  r = lockstep.run();
+  success = success && r.reason == "end";
+  if (r.reason != "end") console.log(lockstep.report());
+  lockstep.detach();
+
+  console.log(success ? "Recorder test OK" : "Recorder test FAILED");
+  return success;
+}
+
+function lockstep_test() {
+  files = preloaded_files();
+  var load = function() {
+    var mem = new Memory();
+    mem.load_file(files, "TEST.COM");
+    mem.write(5, 0xC9);
+    return mem;
+  };
+
+  console.log("Lockstep test");
+
+  var cpu = new I8080(load(), new IO());
+  cpu.jump(0x100);
+  var recorder = new Recorder(cpu, { writes: true });
+  cpu.run(3000);
+  recorder.detach();
+  var reference = I8080_log_parse(recorder.text());
+  var success =
+    JSON.stringify(I8080_log_decode(recorder.binary())) ==
+      JSON.stringify(reference);
+
+  var run = function(reference) {
+    var cpu = new I8080(load(), new IO());
+    var lockstep = new Lockstep(cpu, reference, { sync: true });
+    var r = lockstep.run();
+    lockstep.detach();
+    r.report = lockstep.report();
+    return r;
+  };
+  success = success && run(reference).reason == "end";
+
+  var changed = JSON.parse(JSON.stringify(reference));
+  changed[50].a ^= 1;
+  var r = run(changed);
+  success = success && r.reason == "mismatch" && r.index == 50 &&
+    r.differences[0].field == "A" &&
+    r.report.indexOf("Mismatch at instruction 50: A expected") == 0;
+
+  changed = JSON.parse(JSON.stringify(reference));
+  for (var i = 0; !changed[i].writes.length; ++i);
+  changed[i].writes[0][1] ^= 0xff;
+  r = run(changed);
+  success = success && r.reason == "mismatch" && r.index == i &&
+    r.differences[0].field == "W";
+  if (!success) console.log(r.report);
+
+  console.log(success ? "Lockstep test OK" : "Lockstep test FAILED");
+  return success;
+}
+
+// Profiles TEST.COM: the counts, the subroutines and the listing.
+function profiler_test() {
+  files = preloaded_files();
+  var mem = new Memory();
+  mem.load_file(files, "TEST.COM");
+  mem.write(5, 0xC9);
+
+  console.log("Profiler test");
+
+  var cpu = new I8080(mem, new IO());
+  cpu.jump(0x100);
+  var profiler = new Profiler(cpu, { symbols: { 0x152: "PRINT" } });
+  var r = cpu.run(1000000, { stop: function() { return cpu.pc == 0; } });
+  profiler.detach();
+
+  var subroutines = profiler.subroutines();
+  var self = 0, print = null;
+  for (var i = 0; i < subroutines.length; ++i) {
+    self += subroutines[i].self;
+    if (subroutines[i].name == "PRINT") print = subroutines[i];
+  }
+  var listing = profiler.listing(0x100, 0x108);
+  var report = JSON.parse(profiler.json(0x100, 0x6ff));
+  var success =
+    profiler.total == r.cycles && self == r.cycles &&
+    subroutines[0].addr == 0x100 && subroutines[0].total == r.cycles &&
+    print !== null && print.calls == 2 && print.total > print.self &&
+    profiler.counts[0x100] == 1 && profiler.hotspots(1)[0].count > 1 &&
+    listing.executed == 3 &&
+    listing.lines[1].text == "0103  CD 52 01            CALL PRINT" &&
+    report.cycles == r.cycles && report.coverage.unexecuted.length > 0 &&
+    report.coverage.executed + report.coverage.unexecuted.length ==
+      report.coverage.total;
+  if (!success) console.log(listing.text);
+
+  // The halt state and the 8085 restarts.
+  mem = new Memory();
+  var program = [
+    0x31, 0x00, 0x10,   // 0000  lxi sp, 1000h
+    0xFB,               // 0003  ei
+    0x76,               // 0004  hlt
+    0xC3, 0x03, 0x00    // 0005  jmp 0003h
+  ];
+  for (var i = 0; i < program.length; ++i) mem.write(i, program[i]);
+  mem.write(0x3C, 0xFB);              // 003C  ei
+  mem.write(0x3D, 0xC9);              // 003D  ret
+  cpu = new I8085(mem, new IO());
+  cpu.sim(0x08);
+  profiler = new Profiler(cpu);
+  var cycles = cpu.run(100).cycles;
+  cpu.rst75();
+  cycles += cpu.run(100).cycles;
+  profiler.detach();
+  var routines = profiler.subroutines();
+  success = success && profiler.total == cycles && profiler.interrupts == 1 &&
+    profiler.halt_cycles > 100 && profiler.counts[0x04] == 2 &&
+    profiler.cycles[0x04] == profiler.halt_cycles + 2 * 5 &&
+    routines.length == 2 && routines[1].addr == 0x3C && routines[1].calls == 1;
+
+  console.log(success ? "Profiler test OK" : "Profiler test FAILED");
+  return success;
+}
+
+// Runs TEST.COM and a program using the console and the file functions
+// under the CP/M emulation.
+function cpm_test() {
+  files = preloaded_files();
+
+  console.log("CP/M test");
+
+  var dir = new CPM_Directory({ "TEST.COM": files["TEST.COM"].image,
+                                "IN.TXT": "HELLO$" });
+  var cpu = new I8080(new Memory(), new IO());
+  var cpm = new CPM(cpu, { drives: { A: dir } });
+  cpm.exec("TEST");
+  var r = cpm.run(1000000);
+  var success = r.reason == "exit" &&
+    cpm.output.indexOf("CPU IS OPERATIONAL") >= 0;
+
+  var source = [
+    "bdos\tequ\t5",
+    "sys\tmacro\tfn,arg",
+    "\tlxi\td,arg",
+    "\tmvi\tc,fn",
+    "\tcall\tbdos",
+    "\tendm",
+    "\torg\t100h",
+    "\tsys\t15,5ch",         // open the file from the command line
+    "\tsys\t20,5ch",         // read the first record to 0080
+    "\tsys\t9,80h",          // print it up to $
+    "\tsys\t10,buf",         // read a line
+    "\tsys\t22,outf",        // make OUT.DAT
+    "\tsys\t26,buf",
+    "\tsys\t21,outf",        // write the line buffer as record 0
+    "\tmvi\ta,5",
+    "\tsta\toutf+33",
+    "\tsys\t34,outf",        // and as record 5
+    "\tsys\t16,outf",
+    "\tsys\t23,outf",        // rename to NEW.DAT
+    "\tsys\t26,80h",
+    "\tsys\t17,all",         // search *.DAT
+    "\tmvi\ta,'$'",
+    "\tsta\t80h+12",
+    "\tsys\t9,81h",          // print the name found
+    "\tret",
+    "buf:\tdb\t20,0",
+    "\tds\t126",
+    "outf:\tdb\t0,'OUT     DAT',0,0,0,0",
+    "\tdb\t0,'NEW     DAT',0,0,0,0",
+    "\tdb\t0,0,0,0",
+    "all:\tdb\t0,'????????DAT',0,0,0,0",
+    "\tds\t20",
+    "\tend"
+  ].join("\n");
+  dir.write("FILES.COM", I8080_asm(source).image);
+  cpm.output = "";
+  cpm.exec("FILES IN.TXT");
+  success = success && cpm.run(1000000).reason == "input";
+  cpm.type("WORLD\r");
+  r = cpm.run(1000000);
+  var data = dir.read("NEW.DAT");
+  success = success && r.reason == "exit" &&
+    cpm.output == "HELLOWORLD\rNEW     DAT" && dir.read("OUT.DAT") === null &&
+    data !== null && data.length == 6 * 128 &&
+    String.fromCharCode.apply(null, data.subarray(640, 647)) == "\x14\x05WORLD";
+  if (!success) console.log(JSON.stringify(cpm.output));
+
+  // The traps stay after the detach of a tool attached over CP/M.
+  new Recorder(cpu).detach();
+  cpm.output = "";
+  cpm.exec("TEST");
+  success = success && cpm.run(1000000).reason == "exit" &&
+    cpm.output.indexOf("CPU IS OPERATIONAL") >= 0;
+  cpm.detach();
+  success = success && !cpu.hasOwnProperty("instruction");
+
+  console.log(success ? "CP/M test OK" : "CP/M test FAILED");
+  return success;
+}
+
+// Boots a system from an 8" disk image. The CCP reads and writes a
+// sector through the BIOS and restarts by the warm boot.
+function cpm_bios_test() {
+  console.log("CP/M BIOS test");
+
+  var source = [
+    "ccp\tequ\t0e400h",
+    "\torg\tccp",
+    "\tjmp\tstart",
+    "\tjmp\tstart",
+    "\torg\tccp+35ch",
+    "start:\tlhld\t1",
+    "\tlxi\td,-3",
+    "\tdad\td",
+    "\tshld\tbios",
+    "\tlda\t40h",
+    "\tora\ta",
+    "\tjnz\tagain",
+    "\tinr\ta",
+    "\tsta\t40h",
+    "\tmvi\tc,0",
+    "\tmvi\ta,27",         // SELDSK
+    "\tcall\tbcall",
+    "\tmov\te,m",
+    "\tinx\th",
+    "\tmov\td,m",
+    "\tlxi\tb,0",
+    "\tmvi\ta,48",         // SECTRAN
+    "\tcall\tbcall",
+    "\tpush\th",
+    "\tlxi\tb,2",
+    "\tmvi\ta,30",         // SETTRK
+    "\tcall\tbcall",
+    "\tpop\tb",
+    "\tmvi\ta,33",         // SETSEC
+    "\tcall\tbcall",
+    "\tlxi\tb,80h",
+    "\tmvi\ta,36",         // SETDMA
+    "\tcall\tbcall",
+    "\tmvi\ta,39",         // READ
+    "\tcall\tbcall",
+    "\tora\ta",
+    "\tjnz\tfail",
+    "\tlxi\th,80h",
+    "print:\tmov\ta,m",
+    "\tcpi\t'$'",
+    "\tjz\twrite",
+    "\tmov\tc,a",
+    "\tpush\th",
+    "\tmvi\ta,12",         // CONOUT
+    "\tcall\tbcall",
+    "\tpop\th",
+    "\tinx\th",
+    "\tjmp\tprint",
+    "write:\tmvi\ta,'W'",
+    "\tsta\t80h",
+    "\tlxi\tb,3",
+    "\tmvi\ta,30",
+    "\tcall\tbcall",
+    "\tlxi\tb,1",
+    "\tmvi\ta,33",
+    "\tcall\tbcall",
+    "\tmvi\ta,42",         // WRITE
+    "\tcall\tbcall",
+    "\tjmp\t0",
+    "again:\tmvi\tc,'!'",
+    "\tmvi\ta,12",
+    "\tcall\tbcall",
+    "\tmvi\ta,9",          // CONIN
+    "\tcall\tbcall",
+    "fail:\thlt",
+    "bcall:\tlhld\tbios",  // jumps to the BIOS entry A
+    "\tadd\tl",
+    "\tmov\tl,a",
+    "\tmvi\ta,0",
+    "\tadc\th",
+    "\tmov\th,a",
+    "\tpchl",
+    "bios:\tdw\t0",
+    "\torg\tccp+1600h-1",
+    "\tdb\t0",
+    "\tend"
+  ].join("\n");
+  var image = new Uint8Array(77 * 26 * 128);
+  image.fill(0xE5);
+  image.set(I8080_asm(source).image, 128);
+  var text = function(offset, s) {
+    for (var i = 0; i < s.length; ++i) image[offset + i] = s.charCodeAt(i);
+  };
+  text((2 * 26 + 0) * 128, "HELLO$");    // track 2, sector 1
+
+  var mem = new Memory();
+  var cpu = new I8080(mem, new IO());
+  var saved = null;
+  var bios = new CPM_BIOS(cpu, {
+    disks: { A: image },
+    save: function(drive, image) { saved = drive; }
+  });
+  bios.boot();
+  var r = bios.run(1000000);
+  var disk = bios.disks[0];
+  var written = String.fromCharCode.apply(null, disk.image.subarray(3 * 26 * 128,
+                                                                    3 * 26 * 128 + 6));
+  var dpb = mem.read(disk.dph + 10) | (mem.read(disk.dph + 11) << 8);
+  var success =
+    r.reason == "input" && bios.output == "HELLO!" && written == "WELLO$" &&
+    saved == "A" && bios.ccp == 0xE400 && cpu.pc == bios.bios_traps + 3 &&
+    (mem.read(6) | (mem.read(7) << 8)) == 0xEC06 &&
+    (mem.read(dpb + 5) | (mem.read(dpb + 6) << 8)) == 242;
+  if (!success) console.log(r.reason + " " + JSON.stringify(bios.output));
+
+  // The cold boot starts from the track 0 of the disk A again.
+  bios.boot();
+  success = success && bios.disk == 0 && bios.track == 0 &&
+    bios.sector == 0 && bios.dma == 0x80;
+  bios.detach();
+
+  console.log(success ? "CP/M BIOS test OK" : "CP/M BIOS test FAILED");
+  return success;
+}
+
+// Runs a ROM setting up the 8275 and the 8257 as the monitor does, which
+// shows the keyboard state on the screen.
+function rk86_test() {
+  console.log("Radio-86RK test");
+
+  var source = [
+    "\torg\t0f800h",
+    "\tlxi\tsp,76cfh",
+    "\tmvi\ta,8ah",
+    "\tsta\t8003h",
+    "\tlxi\th,0c001h",
+    "\tmvi\tm,0",           // reset, 78 x 30
+    "\tdcx\th",
+    "\tmvi\tm,4dh",
+    "\tmvi\tm,1dh",
+    "\tmvi\tm,99h",
+    "\tmvi\tm,93h",
+    "\tinx\th",
+    "\tmvi\tm,80h",         // cursor at 2, 1
+    "\tdcx\th",
+    "\tmvi\tm,2",
+    "\tmvi\tm,1",
+    "\tinx\th",
+    "\tmvi\tm,27h",         // start display
+    "wait:\tmov\ta,m",
+    "\tani\t20h",
+    "\tjz\twait",
+    "\tlxi\th,0e008h",
+    "\tmvi\tm,80h",
+    "\tmvi\tl,4",
+    "\tmvi\tm,0d0h",
+    "\tmvi\tm,76h",
+    "\tinr\tl",
+    "\tmvi\tm,23h",
+    "\tmvi\tm,49h",
+    "\tmvi\tl,8",
+    "\tmvi\tm,0a4h",
+    "\tlxi\th,76d0h",
+    "\tlxi\tb,78*30",
+    "clear:\tmvi\tm,' '",
+    "\tinx\th",
+    "\tdcx\tb",
+    "\tmov\ta,b",
+    "\tora\tc",
+    "\tjnz\tclear",
+    "\tlxi\th,msg",
+    "\tlxi\td,76d0h+78",
+    "copy:\tmov\ta,m",
+    "\tora\ta",
+    "\tjz\tscan",
+    "\tstax\td",
+    "\tinx\th",
+    "\tinx\td",
+    "\tjmp\tcopy",
+    "scan:\tmvi\ta,0efh",     // the scan line 4
+    "\tsta\t8000h",
+    "\tlda\t8001h",
+    "\tcma",
+    "\tadi\t'0'",
+    "\tsta\t76d0h",
+    "\tlda\t8002h",
+    "\tani\t20h",
+    "\tmvi\ta,'S'",
+    "\tjz\tshift",
+    "\tmvi\ta,'-'",
+    "shift:\tsta\t76d1h",
+    "\tjmp\tscan",
+    "msg:\tdb\t'HELLO ',60h,61h,0",
+    "\tend"
+  ].join("\n");
+  var rk = new RK86({ rom: I8080_asm(source).image });
+  rk.run(5);
+  var lines = rk.text().split("\n");
+  var success =
+    lines.length == 30 && lines[0].length == 78 &&
+    lines[0].substring(0, 3) == "0- " && lines[1] == "HELLO ЮА" + " ".repeat(70) &&
+    rk.crt.cursor.x == 2 && rk.crt.cursor.y == 1;
+
+  rk.keyboard.press("A");
+  rk.keyboard.press("SS");
+  rk.run(1);
+  success = success && rk.text().substring(0, 2) == "2S";
+  rk.keyboard.release("A");
+  rk.keyboard.release("SS");
+  rk.keyboard.type("C");
+  rk.run(2);
+  success = success && rk.text().substring(0, 2) == "8-";
+  rk.run(6);
+  success = success && rk.text().substring(0, 2) == "0-";
+
+  var r = rk.load([0xE6, 0x10, 0x00, 0x10, 0x02, 1, 2, 3, 0x00, 0x00]);
+  success = success && r.start == 0x1000 && r.end == 0x1002 &&
+    rk.memory.read(0x1000) == 1 && rk.memory.read(0x1002) == 3;
+  if (!success) console.log(rk.text());
+
+  console.log(success ? "Radio-86RK test OK" : "Radio-86RK test FAILED");
+  return success;
+}
+
+// A program counting the frame interrupts, drawing two pixels and
+// playing 1500 Hz on the timer.
+function v06c_test() {
+  console.log("Vector-06C test");
+
+  var source = [
+    "\torg\t0",
+    "\tjmp\tstart",
+    "\torg\t38h",
+    "\tpush\th",
+    "\tlhld\tcount",
+    "\tinx\th",
+    "\tshld\tcount",
+    "\tpop\th",
+    "\tei",
+    "\tret",
+    "count:\tdw\t0",
+    "start:\tlxi\tsp,0",
+    "\tmvi\ta,88h",
+    "\tout\t0",
+    "\tmvi\ta,0ffh",        // the scroll
+    "\tout\t3",
+    "\tmvi\ta,1",           // the palette: 1 - red, 2 - green
+    "\tout\t2",
+    "\tmvi\ta,07h",
+    "\tout\t0ch",
+    "\tmvi\ta,2",
+    "\tout\t2",
+    "\tmvi\ta,38h",
+    "\tout\t0ch",
+    "\txra\ta",
+    "\tout\t2",
+    "\tmvi\ta,80h",         // the left pixels of the lines 0 and 1
+    "\tsta\t80ffh",
+    "\tsta\t0a0feh",
+    "\tmvi\ta,36h",         // the counter 0, the square wave of 1000
+    "\tout\t8",
+    "\tmvi\ta,0e8h",
+    "\tout\t0bh",
+    "\tmvi\ta,3",
+    "\tout\t0bh",
+    "\tei",
+    "loop:\thlt",
+    "\tjmp\tloop",
+    "\tend"
+  ].join("\n");
+  var r = I8080_asm(source);
+  var v = new Vector06C();
+  v.load(r.image, 0);
+  v.run(10);
+
+  const pixel = function(x, y) {
+    const p = (y * V06C_WIDTH + x) * 4;
+    return Array.prototype.slice.call(v.screen, p, p + 4).join(",");
+  };
+  // The first request comes before EI.
+  var success = v.memory.read(r.symbols.COUNT) == 9 &&
+    pixel(0, 0) == "255,0,0,255" && pixel(1, 0) == "255,0,0,255" &&
+    pixel(2, 0) == "0,0,0,255" && pixel(0, 1) == "0,255,0,255";
+
+  // 1500 Hz is 30 periods in a frame.
+  var transitions = 0;
+  for (var i = 1; i < v.samples.length; ++i)
+    if (v.samples[i] != v.samples[i - 1]) transitions += 1;
+  success = success && v.samples.length == 958 && transitions == 60;
+
+  v.io.output(3, 0xFE);
+  v.run(1);
+  success = success && pixel(0, 0) == "0,255,0,255";
+  v.io.output(2, 0x10);
+  v.memory.write(0xC0FE, 0x40);
+  v.run(1);
+  success = success && v.mode512 && pixel(0, 0) == "0,0,0,255" &&
+    pixel(2, 0) == "0,0,0,255" && pixel(1, 0) == "0,0,0,255";
+  v.palette[4] = 0xC0;
+  v.run(1);
+  success = success && pixel(2, 0) == "0,0,255,255" && pixel(3, 0) == "0,0,0,255";
+
+  // The RAM-disk window and the stack bank.
+  v.io.output(0x10, 0x20 | 0x04);
+  v.memory.write(0xA000, 0x55);
+  success = success && v.memory.stack_banks[1][0xA000] == 0x55 &&
+    v.memory.ram[0xA000] == 0;
+  v.io.output(0x10, 0x12);
+  success = success && v.memory.read(0xA000) == 0 &&
+    v.memory.read(0xA000, true) == 0 && v.memory.stack === v.memory.stack_banks[2];
+  v.io.output(0x10, 0);
+
+  // The keyboard: the column 4 and SS.
+  v.io.output(0, 0x8A);
+  v.io.output(3, 0xEF);
+  v.keyboard.press("A");
+  v.keyboard.press("SS");
+  success = success && v.io.input(2) == 0xFD && (v.io.input(1) & 0xE0) == 0xC0;
+
+  var timer = new I8253();
+  timer.write(3, 0x70);         // the counter 1, mode 0
+  timer.write(1, 5);
+  timer.write(1, 0);
+  timer.clock(3);
+  timer.write(3, 0x40);         // latch
+  timer.clock(2);
+  success = success && timer.read(1) == 2 && timer.read(1) == 0 &&
+    timer.out[1] == 1 && timer.out[0] == 1;
+
+  console.log(success ? "Vector-06C test OK" : "Vector-06C test FAILED");
+  return success;
+}
+
+// Boots a program from the disk by a loader in the ROM. The program
+// prints to the 88-2SIO, echoes a character and writes it to a sector.
+function altair_test() {
+  console.log("Altair 8800 test");
+
+  var loader = I8080_asm([
+    "\torg\t0ff00h",
+    "\txra\ta",
+    "\tout\t8",             // the drive 0
+    "\tmvi\ta,4",
+    "\tout\t9",             // the head load
+    "wsec:\tin\t9",
+    "\trar",
+    "\tjc\twsec",
+    "\tani\t1fh",
+    "\tjnz\twsec",          // the sector 0
+    "\tlxi\th,0",
+    "\tmvi\tc,3",
+    "skip:\tin\t0ah",
+    "\tdcr\tc",
+    "\tjnz\tskip",
+    "\tmvi\tc,128",
+    "copy:\tin\t0ah",
+    "\tmov\tm,a",
+    "\tinx\th",
+    "\tdcr\tc",
+    "\tjnz\tcopy",
+    "\tjmp\t0",
+    "\tend"
+  ].join("\n"));
+  var program = I8080_asm([
+    "\torg\t0",
+    "\tlxi\tsp,100h",
+    "\tmvi\ta,3",
+    "\tout\t10h",
+    "\tmvi\ta,11h",
+    "\tout\t10h",
+    "\tlxi\th,msg",
+    "print:\tmov\ta,m",
+    "\tora\ta",
+    "\tjz\tread",
+    "\tcall\tputc",
+    "\tinx\th",
+    "\tjmp\tprint",
+    "read:\tin\t10h",
+    "\trrc",
+    "\tjnc\tread",
+    "\tin\t11h",
+    "\tcall\tputc",
+    "\tmov\tb,a",
+    "\tmvi\ta,1",           // step in
+    "\tout\t9",
+    "\tmvi\ta,80h",         // write enable
+    "\tout\t9",
+    "\tmvi\tc,137",
+    "write:\tin\t8",
+    "\trrc",
+    "\tjc\twrite",
+    "\tmov\ta,b",
+    "\tout\t0ah",
+    "\tdcr\tc",
+    "\tjnz\twrite",
+    "\thlt",
+    "putc:\tpush\tpsw",
+    "wait:\tin\t10h",
+    "\tani\t2",
+    "\tjz\twait",
+    "\tpop\tpsw",
+    "\tout\t11h",
+    "\tret",
+    "msg:\tdb\t'HI',13,10,0",
+    "\tend"
+  ].join("\n"));
+
+  var disk = new Uint8Array(ALTAIR_DISK_SIZE);
+  disk.set(program.image, 3);
+  var output = "", saved = {};
+  var altair = new Altair({
+    rom: loader.image,
+    disks: [disk],
+    output: function(w8, port) { output += String.fromCharCode(w8); },
+    save: function(n, image) { saved[n] = image; }
+  });
+  altair.examine(0xFF00);
+  var r = altair.run(1000000);
+  var success = r.reason == "input" && output == "HI\r\n" &&
+    r.cycles < 100000 && altair.leds().address < 0x100;
+
+  altair.type("X");
+  r = altair.run(1000000);
+  altair.flush();
+  const sector = (1 * ALTAIR_SECTORS + 0) * ALTAIR_SECTOR;
+  success = success && r.reason == "halt" && output == "HI\r\nX" &&
+    saved[0] && saved[0][sector] == 0x58 && saved[0][sector + 136] == 0x58 &&
+    saved[0][sector + 137] == 0 && disk[sector] == 0;
+
+  // The front panel: DEPOSIT IN 0FFH, HLT and RUN.
+  altair.reset();
+  altair.sense = 0x5A;
+  altair.examine(0x2000);
+  altair.deposit(0xDB);
+  altair.deposit_next(0xFF);
+  altair.deposit_next(0x76);
+  altair.examine(0x2000);
+  success = success && altair.leds().data == 0xDB;
+  r = altair.run(1000);
+  const leds = altair.leds();
+  success = success && r.reason == "halt" && altair.cpu.a() == 0x5A &&
+    leds.address == 0x2003 && leds.hlta && !leds.inte;
+
+  console.log(success ? "Altair 8800 test OK" : "Altair 8800 test FAILED");
+  return success;
+}
+
+function disasm_range_test() {
+  var program = [
+    0x3A, 0x0A, 0x00,   // 0000  lda 000Ah
+    0xCD, 0x09, 0x00,   // 0003  call 0009h
+    0xC3, 0x00, 0x00,   // 0006  jmp 0000h
+    0xC9,               // 0009  ret
+    0x00,               // 000A  db 0
+  ];
+
+  console.log("*********************************");
+  console.log("Disassembler test");
+
+  var symbols = I8080_parse_symbols("0000 START\n0005 BDOS\n");
+  var r = I8080_disasm_range(function(addr) { return program[addr] || 0; },
+                             0, 0x0A, { symbols: symbols });
+  var success =
+    r.labels[0x00] == "START" && r.labels[0x09] == "L0009" &&
+    r.labels[0x0A] == "D000A" && r.labels[0x05] == "BDOS" &&
+    r.xrefs[0x00].join() == "6" && r.xrefs[0x09].join() == "3" &&
+    r.lines[1].text == "0003  CD 09 00            CALL L0009" &&
+    r.lines[0].label == "START";
+  if (!success) console.log(r.text + "\n" + r.xref);
+
+  var zilog = I8080_disasm_range(function(addr) { return program[addr] || 0; },
+                                 0, 0x0A, { syntax: "zilog" });
+  success = success && zilog.lines[0].text == "0000  3A 0A 00  L0000:    LD A, (D000A)" &&
+            I8080_disasm([0x7E, 0, 0], { syntax: "zilog" }).text == "LD A, (HL)";
+
+  // XTHL was printed as XTXL and MOV A,A as MOV M,M.
+  var fixed = [
+    [ 0xE3, "XTHL", "EX (SP), HL" ],
+    [ 0x7F, "MOV A, A", "LD A, A" ],
+  ];
+  for (var i = 0; i < fixed.length; ++i) {
+    var intel = I8080_disasm([fixed[i][0], 0, 0]).text;
+    var z80 = I8080_disasm([fixed[i][0], 0, 0], { syntax: "zilog" }).text;
+    if (intel != fixed[i][1] || z80 != fixed[i][2]) {
+      console.log("%02X".format(fixed[i][0]) + ": " + intel + " / " + z80);
+      success = false;
+    }
+  }
+
+  var source = I8080_disasm_source(function(addr) { return program[addr] || 0; },
+                                   0, 0x0A).text;
+  var expected = [
+    "\tORG\t0000H",
+    "L0000:\tLDA\tD000A",
+    "\tCALL\tL0009",
+    "\tJMP\tL0000",
+    "L0009:\tRET",
+    "D000A:\tDB\t00H",
+    "\tEND"
+  ].join("\n");
+  if (source != expected) {
+    console.log(source);
+    success = false;
+  }
+
+  console.log(success ? "Disassembler test OK" : "Disassembler test FAILED");
+  return success;
+}
+
+// Assembles the disassembled test programs and the instructions back in
+// the Intel and Zilog syntax, then a source with the macros, REPT and
+// the conditional assembly.
+function asm_test() {
+  files = preloaded_files();
+
+  console.log("*********************************");
+  console.log("Assembler test");
+
+  var success = true;
+  ["8080PRE.COM", "TEST.COM", "8080EX1.COM"].forEach(function(name) {
+    var file = files[name];
+    var memory = function(addr) {
+      return file.image.charCodeAt(addr - file.start);
+    };
+    ["intel", "zilog"].forEach(function(syntax) {
+      var options = { syntax: syntax };
+      var source = I8080_disasm_source(memory, file.start, file.end, options);
+      var r = I8080_asm(source.text, options);
+      if (r.start != file.start ||
+          String.fromCharCode.apply(null, r.image) != file.image) {
+        console.log(name + " is assembled differently (" + syntax + ")");
+        success = false;
+      }
+    });
+  });
+
+  // Every instruction in both syntaxes.
+  ["intel", "zilog"].forEach(function(syntax) {
+    var options = { syntax: syntax };
+    for (var opcode = 0; opcode < 0x100; ++opcode) {
+      var code = [opcode, 0x34, 0x12];
+      var instr = I8080_disasm(code, options);
+      if (instr.bad) continue;
+      var args = [];
+      if (instr.arg1 !== undefined) args.push(instr.arg1);
+      if (instr.arg2 !== undefined) args.push(instr.arg2);
+      if (instr.length > 1) args[args.length - 1] = "0" + args[args.length - 1] + "H";
+      var z = syntax == "zilog" ?
+        I8080_zilog(instr.cmd, args, function(v) { return v; }) :
+        { cmd: instr.cmd, args: args };
+      var r = I8080_asm("\t" + z.cmd + "\t" + z.args.join(","), options);
+      if (r.image.join() != code.slice(0, instr.length).join()) {
+        console.log(instr.text + " is assembled to " + r.image.join());
+        success = false;
+      }
+    }
+  });
+
+  var source = [
+    "\torg\t100h",
+    "pair\tmacro\treg,val",
+    "\tlocal\tskip",
+    "\tmvi\treg,val",
+    "\tjmp\tskip",
+    "skip:",
+    "\tendm",
+    "start:\tpair\ta,'A'",
+    "\tpair\tb,<high (start+300h)>",
+    "count\tdefl\t0",
+    "\trept\t3",
+    "count\tdefl\tcount+1",
+    "\tdb\tcount*2",
+    "\tendm",
+    "\tif\tcount eq 3",
+    "\tdw\tstart,$",
+    "\telse",
+    "\terror\t'rept failed'",
+    "\tendif",
+    "\tdb\t\"ab\",1 shl 4,-1,10 mod 3",
+    "\trst\t7",
+    "\tend\tstart"
+  ].join("\n");
+  var expected = [
+    0x3E, 0x41, 0xC3, 0x05, 0x01,
+    0x06, 0x04, 0xC3, 0x0A, 0x01,
+    0x02, 0x04, 0x06,
+    0x00, 0x01, 0x0D, 0x01,
+    0x61, 0x62, 0x10, 0xFF, 0x01,
+    0xFF
+  ];
+  var r = I8080_asm(source);
+  if (r.start != 0x100 || r.entry != 0x100 || r.symbols.COUNT != 3 ||
+      r.image.join() != expected.join()) {
+    console.log(r.image.map(function(b) { return "%02X".format(b); }).join(" "));
+    success = false;
+  }
+
+  // DS advances the address, the space at the end is not in the image.
+  r = I8080_asm("\torg\t100h\n\tds\t2,0aah\n\tnop\n\tds\t3\n\tdb\t1\n" +
+                "buf:\tds\t4\n\tend", { fill: 0xff });
+  if (r.end != 0x106 || r.symbols.BUF != 0x107 ||
+      r.image.join() != [0xAA, 0xAA, 0x00, 0xFF, 0xFF, 0xFF, 0x01].join()) {
+    console.log("DS: " + r.end.toString(16) + " " + r.image.join());
+    success = false;
+  }
+
+  console.log(success ? "Assembler test OK" : "Assembler test FAILED");
+  return success;
+}
+
 function main(enable_exerciser) {
   console.log("Intel 8080/JS test");
   console.putchar("\n");
@@ -123,6 +1706,31 @@ function main(enable_exerciser) {
   execute_test("TEST.COM", false);
   execute_test("CPUTEST.COM", false);
   execute_test("8080PRE.COM", true);
+  memory_test();
+  stack_bank_test();
+  interrupt_test();
+  run_test();
+  state_test();
+  machine_cycles_test();
+  bus_cycles_test("TEST.COM");
+  bus_cycles_test("TEST.COM", I8085);
+  bus_cycles_test("8085TEST.COM", I8085);
+  execute_test("8085TEST.COM", true, I8085);
+  execute_test("TEST.COM", false, I8085);
+  i8085_interrupt_test();
+  i8085_undocumented_test();
+  debugger_test();
+  history_test();
+  recorder_test();
+  lockstep_test();
+  profiler_test();
+  cpm_test();
+  cpm_bios_test();
+  rk86_test();
+  v06c_test();
+  altair_test();
+  disasm_range_test();
+  asm_test();
 
   // We may want to disable this test because it may take an hour
   // running in the browser. Within the standalone V8 interpreter
@@ -16,7 +16,8 @@
 // along with this program; if not, write to the Free Software
 // Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
 
-var I8080_trace = function(i8080) {
+// syntax - "intel" (default) or "zilog" for the disassembled instruction.
+var I8080_trace = function(i8080, syntax) {
   this.hex = function(n, pad) {
     var hex = Number(n).toString(16).toUpperCase();;
     pad = typeof (pad) === "undefined" || pad === null ? pad = 2 : pad;
@@ -28,7 +29,7 @@ var I8080_trace = function(i8080) {
 
   r +=
     "PC=" + this.hex(i8080.pc, 4) + " " + 
-    "[" + this.hex(i8080.memory_read_byte(i8080.pc)) + "] " +
+    "[" + this.hex(i8080.memory.read(i8080.pc)) + "] " +
     "A=" + this.hex(i8080.a()) + " " + 
     "F=" + this.hex(i8080.store_flags()) +
     " " + 
@@ -52,7 +53,9 @@ var I8080_trace = function(i8080) {
   for (var i = 0; i < 3; ++i)
     code[code.length] = i8080.memory.read(i8080.pc + i);
 
-  var instr = I8080_disasm(code);
+  var options = i8080.disasm_options();
+  options.syntax = syntax;
+  var instr = I8080_disasm(code, options);
   r += this.hex(i8080.pc, 4) + " " + instr.text;
   r += "\n";
 
@@ -72,3 +75,7 @@ var I8080_trace = function(i8080) {
 
   return r;
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.I8080_trace = I8080_trace;
+}
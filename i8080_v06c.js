@@ -0,0 +1,257 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Vector-06C. The memory map:
+//   0000-7FFF  RAM, the boot ROM at 0000 after the reset,
+//   8000-FFFF  RAM, the four screen planes of 8K at 8000, A000, C000
+//              and E000, 32 columns of 256 bytes each.
+// The ports:
+//   00-03  8255 of the keyboard and the video: 00 - the control word,
+//          01 - PC (PC0 - the tape out, PC5-PC7 - SS, US, RUS/LAT),
+//          02 - PB (the keyboard rows, the border color and the 512 mode
+//          in the bit 4), 03 - PA (the keyboard columns and the scroll),
+//   04-07  the second 8255,
+//   08-0B  8253 timer: 08 - the control word, 0B-09 - the counters 0-2,
+//   0C     the palette entry of the border color,
+//   10     the RAM-disk: the bank of the stack (bits 0-1, enabled by the
+//          bit 4) and of the window A000-DFFF (bits 2-3, the bit 5).
+//
+//   var v = new Vector06C({ rom: files["boot.rom"].image });
+//   v.load(program);                   // or a .ROM file at 0100
+//   v.run(50);                         // 50 frames, 1 second
+//   v.screen;                          // the last frame, RGBA 512 x 256
+//   v.samples;                         // the sound of the last frame
+//
+// The CPU runs at 3 MHz. The instructions take vcycles, every machine
+// cycle stretched to 4 clocks as the video shares the bus. A frame is
+// 312 lines of 192 clocks, the interrupt request (RST 7) is set at its
+// start for a line. The video memory is rendered at the end of the
+// frame with the palette of that moment, the scroll is taken from PA at
+// the first line of the screen.
+
+const V06C_CLOCK = 3000000;
+const V06C_LINE = 192;
+const V06C_FRAME = 312 * V06C_LINE;
+const V06C_SCROLL_LINE = 40;
+const V06C_WIDTH = 512;
+const V06C_HEIGHT = 256;
+
+// The keyboard matrix is the one of Radio-86RK with the first two
+// columns swapped.
+const V06C_KEYS = [RK86_KEYS[1], RK86_KEYS[0]].concat(RK86_KEYS.slice(2));
+
+/** @constructor */
+function Vector06C(options) {
+  this.options = options || {};
+  const that = this;
+  this.memory = new Memory();
+  this.memory.map_stack(4);
+
+  const keyboard = this.options.keyboard || {};
+  this.keyboard = new RK86_Keyboard({ keys: V06C_KEYS, hold: keyboard.hold,
+                                      gap: keyboard.gap });
+  this.ppi = new I8255({
+    input: function(port) { return that.keyboard.input(port, that.ppi.latch[0]); },
+    output: function(port, w8) { that.ppi_output(port, w8); }
+  });
+  this.ppi2 = new I8255();
+  this.timer = new I8253();
+
+  this.palette = new Uint8Array(16);
+  this.border = 0;
+  this.mode512 = false;
+  this.scroll = 0xFF;
+  this.tape_out = 0;
+  this.screen = new Uint8Array(V06C_WIDTH * V06C_HEIGHT * 4);
+
+  // The sound is sampled at options.sample_rate, mixed from the timer
+  // outputs and the tape out to 0..1.
+  this.sample_rate = this.options.sample_rate || 48000;
+  this.samples = [];
+  this.sample_cycle = 0;
+  this.timer_cycle = 0;
+
+  this.io = {
+    input: function(port) { return that.input(port); },
+    output: function(port, w8) { that.output(port, w8); },
+    interrupt: function(iff) {}
+  };
+  this.cpu = new I8080(this.memory, this.io);
+  this.cycle = 0;
+  this.frames = 0;
+  this.rom = null;
+  if (this.options.rom) this.rom = this.memory.map_rom(0, this.options.rom);
+}
+
+Vector06C.prototype.input = function(port) {
+  port &= 0xff;
+  if (port < 0x04) return this.ppi.read(3 - port);
+  if (port < 0x08) return this.ppi2.read(3 - (port & 3));
+  if (port < 0x0C) {
+    this.sync();
+    return this.timer.read(3 - (port & 3));
+  }
+  return 0xFF;
+}
+
+Vector06C.prototype.output = function(port, w8) {
+  port &= 0xff;
+  if (port < 0x04) {
+    // The tape out is heard.
+    if (port <= 1) this.sync();
+    this.ppi.write(3 - port, w8);
+  } else if (port < 0x08) {
+    this.ppi2.write(3 - (port & 3), w8);
+  } else if (port < 0x0C) {
+    this.sync();
+    this.timer.write(3 - (port & 3), w8);
+  } else if (port < 0x10) {
+    this.palette[this.border] = w8;
+  } else if (port == 0x10) {
+    this.ramdisk(w8);
+  }
+}
+
+Vector06C.prototype.ppi_output = function(port, w8) {
+  if (port == 1) {
+    this.border = w8 & 0x0f;
+    this.mode512 = (w8 & 0x10) != 0;
+  } else if (port == 2) {
+    this.tape_out = w8 & 1;
+  }
+}
+
+// The stack accesses go to the selected RAM-disk bank, the window shows
+// A000-DFFF of the other selected bank.
+Vector06C.prototype.ramdisk = function(w8) {
+  this.memory.select_stack(w8 & 0x10 ? w8 & 3 : -1);
+  if (w8 & 0x20) {
+    const bank = this.memory.stack_banks[(w8 >> 2) & 3];
+    this.memory.map_ram(0xA000, 0x4000, bank.subarray(0xA000, 0xE000));
+  } else {
+    this.memory.map_ram(0xA000, 0x4000);
+  }
+}
+
+// Loads the program to the RAM, 0100 by default, switches off the boot
+// ROM and starts from 0000, as the reset with BLK+SBR does.
+Vector06C.prototype.load = function(image, start) {
+  start = start === undefined ? 0x100 : start;
+  if (this.rom !== null) {
+    this.memory.map_ram(0, this.rom.length);
+    this.rom = null;
+  }
+  for (var i = 0; i < image.length; ++i)
+    this.memory.ram[(start + i) & 0xffff] =
+      typeof image === "string" ? image.charCodeAt(i) : image[i];
+  this.cpu.jump(0);
+}
+
+// Runs the frames (1 by default).
+Vector06C.prototype.run = function(frames) {
+  for (var i = 0; i < (frames || 1); ++i) {
+    this.samples = [];
+    this.cpu.irq(0xFF);
+    var scroll = false;
+    while (this.cycle < V06C_FRAME) {
+      this.cpu.instruction();
+      this.cycle += this.cpu.vcycles;
+      if (this.cycle >= V06C_LINE) this.cpu.irq(null);
+      if (!scroll && this.cycle >= V06C_SCROLL_LINE * V06C_LINE) {
+        this.scroll = this.ppi.latch[0];
+        scroll = true;
+      }
+    }
+    this.sync(V06C_FRAME);
+    this.cycle -= V06C_FRAME;
+    this.sample_cycle -= V06C_FRAME;
+    this.timer_cycle -= V06C_FRAME;
+    this.render();
+    this.keyboard.frame();
+    this.frames += 1;
+  }
+}
+
+// Brings the timer and the sound to the current cycle of the frame. The
+// timer is clocked at the half of the CPU clock.
+Vector06C.prototype.sync = function(cycle) {
+  cycle = cycle === undefined ? this.cycle : cycle;
+  const period = V06C_CLOCK / this.sample_rate;
+  while (this.sample_cycle + period <= cycle) {
+    this.sample_cycle += period;
+    this.clock_timer(this.sample_cycle);
+    const out = this.timer.out;
+    this.samples.push((out[0] + out[1] + out[2] + this.tape_out) / 4);
+  }
+  this.clock_timer(cycle);
+}
+
+Vector06C.prototype.clock_timer = function(cycle) {
+  const ticks = Math.floor((cycle - this.timer_cycle) / 2);
+  if (ticks <= 0) return;
+  this.timer.clock(ticks);
+  this.timer_cycle += ticks * 2;
+}
+
+// The palette entry as R, G, B: the byte is BBGGGRRR.
+Vector06C.prototype.color = function(n) {
+  const w8 = this.palette[n & 0x0f];
+  return [Math.round((w8 & 7) * 255 / 7),
+          Math.round(((w8 >> 3) & 7) * 255 / 7),
+          Math.round((w8 >> 6) * 255 / 3)];
+}
+
+// Renders the planes to the screen, 512 x 256 RGBA. In the 256 mode the
+// plane n gives the bit n of the palette index and the pixels are
+// doubled. In the 512 mode the even pixels are from the plane C000 and
+// the odd ones from E000, the index is 0 or 4 and 0 or 8. The screen
+// lines go down from the row of the scroll register.
+Vector06C.prototype.render = function() {
+  const ram = this.memory.ram;
+  const colors = [];
+  for (var n = 0; n < 16; ++n) colors.push(this.color(n));
+  var p = 0;
+  for (var y = 0; y < V06C_HEIGHT; ++y) {
+    const row = (this.scroll - y) & 0xff;
+    for (var col = 0; col < 32; ++col) {
+      const addr = 0x8000 + (col << 8) + row;
+      const b0 = ram[addr], b1 = ram[addr + 0x2000];
+      const b2 = ram[addr + 0x4000], b3 = ram[addr + 0x6000];
+      for (var bit = 7; bit >= 0; --bit) {
+        var left, right;
+        if (this.mode512) {
+          left = ((b2 >> bit) & 1) << 2;
+          right = ((b3 >> bit) & 1) << 3;
+        } else {
+          left = right = ((b0 >> bit) & 1) | (((b1 >> bit) & 1) << 1) |
+                         (((b2 >> bit) & 1) << 2) | (((b3 >> bit) & 1) << 3);
+        }
+        p = this.pixel(p, colors[left]);
+        p = this.pixel(p, colors[right]);
+      }
+    }
+  }
+}
+
+Vector06C.prototype.pixel = function(p, rgb) {
+  this.screen[p] = rgb[0];
+  this.screen[p + 1] = rgb[1];
+  this.screen[p + 2] = rgb[2];
+  this.screen[p + 3] = 0xFF;
+  return p + 4;
+}
@@ -0,0 +1,540 @@
+// Intel 8085 microprocessor core model in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// The 8085 is built on top of the I8080 core. The differences are:
+// - RIM and SIM (opcodes 0x20 and 0x30),
+// - TRAP, RST 7.5, RST 6.5 and RST 5.5 interrupt inputs with the masks,
+// - SID and SOD serial pins,
+// - the timing: 4 or 6 clock cycles of the opcode fetch, conditional
+//   jumps and calls do not read the address when not taken,
+// - ANA/ANI always set the auxiliary carry.
+//
+// The interrupt inputs are driven by the devices:
+//   cpu.trap();             // rising edge on TRAP
+//   cpu.rst75();            // rising edge on RST 7.5
+//   cpu.set_rst65(level);
+//   cpu.set_rst55(level);
+//   cpu.set_sid(bit);
+// SOD is available as cpu.sod, its changes are also reported to
+// io.sod(bit) if the IO object has it.
+//
+// With options.undocumented the CPU also executes the undocumented
+// instructions: DSUB, ARHL, RDEL, LDHI, LDSI, RSTV, SHLX, LHLX, JNK and JK,
+// and keeps the V (overflow) and K flags in bits 1 and 5 of the flags.
+// Otherwise these opcodes behave as on the 8080.
+
+// In Node.js the core is required, in the browser and in the concatenated
+// builds it is loaded before this file.
+if (typeof I8080 === "undefined") var I8080 = require("./i8080").I8080;
+
+/** @constructor */
+function I8085(memory, io, options) {
+  this.undocumented = !!(options && options.undocumented);
+  this.vf = 0;
+  this.kf = 0;
+  if (this.undocumented) {
+    // RSTV instead of JMP.
+    this.m1_tstates = I8085.prototype.m1_tstates.slice();
+    this.m1_tstates[0xCB] = 6;
+  }
+
+  this.mask = 0x07;         // RST 7.5, 6.5, 5.5 masks.
+  this.rst75_latch = 0;
+  this.rst65_level = 0;
+  this.rst55_level = 0;
+  this.trap_pending = false;
+  // The interrupt enable before TRAP, reported by the next RIM.
+  this.trap_iff = null;
+  this.sid = 0;
+  this.sod = 0;
+
+  I8080.call(this, memory, io);
+}
+
+I8085.prototype = Object.create(I8080.prototype);
+I8085.prototype.constructor = I8085;
+
+// Opcode fetch takes 6 clock cycles for the instructions which do
+// something with the stack pointer or a register pair after the fetch.
+I8085.prototype.m1_tstates = (function() {
+  const t = [];
+  for (var opcode = 0; opcode < 0x100; ++opcode) {
+    var m1 = 4;
+    if ((opcode & 0xC7) == 0x03 ||        /* inx, dcx */
+        (opcode & 0xC7) == 0xC0 ||        /* rcc */
+        (opcode & 0xCF) == 0xC5 ||        /* push */
+        (opcode & 0xC7) == 0xC4 ||        /* ccc */
+        (opcode & 0xC7) == 0xC7 ||        /* rst */
+        opcode == 0xCD ||                 /* call */
+        opcode == 0xE9 || opcode == 0xF9) /* pchl, sphl */
+      m1 = 6;
+    t[opcode] = m1;
+  }
+  return t;
+})();
+
+I8085.prototype.xthl_tstates = 3;
+
+I8085.prototype.ana_im8 = function(v) {
+  I8080.prototype.ana_im8.call(this, v);
+  this.hf = 1;
+}
+
+// V is the two's complement overflow of the arithmetic instructions.
+// K is V xor S after them, and the carry out of INX and the borrow out
+// of DCX. The other instructions do not change V and K.
+I8085.prototype.overflow = function(v) {
+  this.vf = v ? 1 : 0;
+  this.kf = this.vf ^ (this.sf ? 1 : 0);
+}
+
+I8085.prototype.add_im8 = function(v, carry) {
+  const a = this.a();
+  I8080.prototype.add_im8.call(this, v, carry);
+  this.overflow((a ^ this.a()) & (v ^ this.a()) & 0x80);
+}
+
+// Also used by CMP.
+I8085.prototype.sub_im8 = function(v, carry) {
+  const a = this.a();
+  I8080.prototype.sub_im8.call(this, v, carry);
+  this.overflow((a ^ v) & (a ^ this.a()) & 0x80);
+}
+
+I8085.prototype.inr = function(r) {
+  var v = this.reg(r);
+  v = (v + 1) & 0xff;
+  this.set_reg(r, v);
+  this.sf = (v & 0x80) != 0;
+  this.zf = (v == 0);
+  this.hf = (v & 0x0f) == 0;
+  this.pf = I8080.prototype.parity_table[v];
+  this.overflow(v == 0x80);
+}
+
+I8085.prototype.dcr = function(r) {
+  var v = this.reg(r);
+  v = (v - 1) & 0xff;
+  this.set_reg(r, v);
+  this.sf = (v & 0x80) != 0;
+  this.zf = (v == 0);
+  this.hf = !((v & 0x0f) == 0x0f);
+  this.pf = I8080.prototype.parity_table[v];
+  this.overflow(v == 0x7f);
+}
+
+I8085.prototype.store_flags = function() {
+  const f = I8080.prototype.store_flags.call(this);
+  if (!this.undocumented) return f;
+  return (f & ~0x22) | (this.vf << 1) | (this.kf << 5);
+}
+
+I8085.prototype.retrieve_flags = function(f) {
+  I8080.prototype.retrieve_flags.call(this, f);
+  if (!this.undocumented) return;
+  this.vf = (f >> 1) & 1;
+  this.kf = (f >> 5) & 1;
+}
+
+// HL = HL - BC, the flags are set as by the subtraction of the high
+// bytes, Z is set for the whole result.
+I8085.prototype.dsub = function() {
+  const hl = this.hl();
+  const bc = this.bc();
+  const w = hl - bc;
+  const r = w & 0xffff;
+  const index = ((hl & 0x8800) >> 9) | ((bc & 0x8800) >> 10) |
+                ((r & 0x8800) >> 11);
+  this.sf = (r & 0x8000) != 0;
+  this.zf = (r == 0);
+  this.hf = !I8080.prototype.sub_half_carry_table[index & 0x7];
+  this.pf = I8080.prototype.parity_table[r >> 8];
+  this.cf = w < 0;
+  this.overflow((hl ^ bc) & (hl ^ r) & 0x8000);
+  this.set_h(r >> 8);
+  this.set_l(r & 0xff);
+}
+
+// Arithmetic shift right of HL, bit 0 goes to the carry.
+I8085.prototype.arhl = function() {
+  const hl = this.hl();
+  this.cf = hl & 1;
+  this.set_h((hl >> 9) | (hl & 0x8000) >> 8);
+  this.set_l((hl >> 1) & 0xff);
+}
+
+// Rotate DE left through the carry. V is set if the sign changes.
+I8085.prototype.rdel = function() {
+  const de = this.de();
+  const w = (de << 1) | (this.cf ? 1 : 0);
+  this.cf = (w & 0x10000) != 0;
+  this.vf = ((de ^ w) & 0x8000) != 0 ? 1 : 0;
+  this.set_d((w >> 8) & 0xff);
+  this.set_e(w & 0xff);
+}
+
+// The interrupt enable bit is set right after EI, while the interrupts
+// are accepted after the next instruction.
+I8085.prototype.rim = function() {
+  const iff = this.trap_iff !== null ? this.trap_iff :
+              this.iff || this.iff_pending > 0;
+  this.trap_iff = null;
+  return (this.sid << 7) | (this.rst75_latch << 6) |
+         (this.rst65_level << 5) | (this.rst55_level << 4) |
+         (iff ? 0x08 : 0) | this.mask;
+}
+
+// A: SOD, SDE, -, R7.5, MSE, M7.5, M6.5, M5.5.
+I8085.prototype.sim = function(a) {
+  if (a & 0x08) this.mask = a & 0x07;
+  if (a & 0x10) this.rst75_latch = 0;
+  if (a & 0x40) {
+    this.sod = a >> 7;
+    if (this.io.sod) this.io.sod(this.sod);
+  }
+}
+
+I8085.prototype.trap = function() {
+  this.trap_pending = true;
+}
+
+I8085.prototype.rst75 = function() {
+  this.rst75_latch = 1;
+}
+
+I8085.prototype.set_rst65 = function(level) {
+  this.rst65_level = level ? 1 : 0;
+}
+
+I8085.prototype.set_rst55 = function(level) {
+  this.rst55_level = level ? 1 : 0;
+}
+
+I8085.prototype.set_sid = function(bit) {
+  this.sid = bit ? 1 : 0;
+}
+
+I8085.prototype.initHandlers = function() {
+  I8080.prototype.initHandlers.call(this);
+  const handler = this.handler;
+  const that = this;
+
+  handler[0x20] =       /* rim */
+      function() {
+        that.vcycles = I8080.T4;
+        that.cpu_cycles = 4;
+        that.set_a(that.rim());
+      };
+
+  handler[0x30] =       /* sim */
+      function() {
+        that.vcycles = I8080.T4;
+        that.cpu_cycles = 4;
+        that.sim(that.a());
+      };
+
+  // jnz, jz, jnc, jc, jpo, jpe, jp, jm
+  // 0xC2, 11ccd010
+  // The high byte of the address is not read if the jump is not taken.
+  for (var opcode = 0xC2; opcode <= 0xFA; opcode += 8) {
+    handler[opcode] =
+        function(opcode) {
+          const flags = [that.zf, that.cf, that.pf, that.sf];
+          const r = (opcode >> 4) & 0x03;
+          const direction = (opcode & 0x08) != 0;
+          const lo = that.next_pc_byte();
+          if (flags[r] == direction) {
+            that.vcycles = I8080.T433;
+            that.cpu_cycles = 10;
+            that.pc = lo | (that.next_pc_byte() << 8);
+          } else {
+            that.vcycles = I8080.T43;
+            that.cpu_cycles = 7;
+            that.pc = (that.pc + 1) & 0xffff;
+          }
+        };
+  }
+
+  // cnz, cz, cnc, cc, cpo, cpe, cp, cm
+  // 0xC4, 11ccd100
+  for (var opcode = 0xC4; opcode <= 0xFC; opcode += 8) {
+    handler[opcode] =
+        function(opcode) {
+          const flags = [that.zf, that.cf, that.pf, that.sf];
+          const r = (opcode >> 4) & 0x03;
+          const direction = (opcode & 0x08) != 0;
+          const lo = that.next_pc_byte();
+          if (flags[r] == direction) {
+            that.vcycles = I8080.T53333;
+            that.cpu_cycles = 18;
+            that.call(lo | (that.next_pc_byte() << 8));
+          } else {
+            that.vcycles = I8080.T53;
+            that.cpu_cycles = 9;
+            that.pc = (that.pc + 1) & 0xffff;
+          }
+        };
+  }
+
+  // The rest differs only in the number of clock cycles.
+  const cycles = function(opcode, n, v) {
+    const h = handler[opcode];
+    handler[opcode] = function(opcode) {
+      h(opcode);
+      that.vcycles = v;
+      that.cpu_cycles = n;
+    };
+  };
+  for (var opcode = 0x40; opcode < 0x80; ++opcode)
+    if ((opcode & 0x07) != 6 && (opcode & 0x38) != 0x30)
+      cycles(opcode, 4, I8080.T4);                  /* mov r, r */
+  for (var r = 0; r < 8; ++r) {
+    if (r != 6) {
+      cycles(0x04 | (r << 3), 4, I8080.T4);         /* inr r */
+      cycles(0x05 | (r << 3), 4, I8080.T4);         /* dcr r */
+    }
+    cycles(0xC7 | (r << 3), 12, I8080.T533);        /* rst n */
+  }
+  for (var rp = 0; rp < 4; ++rp) {
+    cycles(0x03 | (rp << 4), 6, I8080.T5);          /* inx rp */
+    cycles(0x0B | (rp << 4), 6, I8080.T5);          /* dcx rp */
+    cycles(0xC5 | (rp << 4), 12, I8080.T533);       /* push rp */
+  }
+  cycles(0x76, 5, I8080.T43);                       /* hlt */
+  cycles(0xCD, 18, I8080.T53333);                   /* call */
+  cycles(0xE3, 16, I8080.T43333);                   /* xthl */
+  cycles(0xE9, 6, I8080.T5);                        /* pchl */
+  cycles(0xF9, 6, I8080.T5);                        /* sphl */
+
+  // rnz, rz, rnc, rc, rpo, rpe, rp, rm: 6 or 12 instead of 5 or 11,
+  // vcycles are the same as of the 8080.
+  for (var opcode = 0xC0; opcode <= 0xF8; opcode += 8) {
+    (function(h) {
+      handler[opcode] = function(opcode) {
+        h(opcode);
+        that.cpu_cycles += 1;
+      };
+    })(handler[opcode]);
+  }
+
+  if (this.undocumented) this.initUndocumented();
+}
+
+I8085.prototype.initUndocumented = function() {
+  const handler = this.handler;
+  const that = this;
+
+  handler[0x08] =       /* dsub */
+      function() {
+        that.vcycles = I8080.T433;
+        that.cpu_cycles = 10;
+        that.dsub();
+      };
+
+  handler[0x10] =       /* arhl */
+      function() {
+        that.vcycles = I8080.T43;
+        that.cpu_cycles = 7;
+        that.arhl();
+      };
+
+  handler[0x18] =       /* rdel */
+      function() {
+        that.vcycles = I8080.T433;
+        that.cpu_cycles = 10;
+        that.rdel();
+      };
+
+  handler[0x28] =       /* ldhi data8 */
+      function() {
+        that.vcycles = I8080.T433;
+        that.cpu_cycles = 10;
+        const w16 = that.hl() + that.next_pc_byte();
+        that.set_d((w16 >> 8) & 0xff);
+        that.set_e(w16 & 0xff);
+      };
+
+  handler[0x38] =       /* ldsi data8 */
+      function() {
+        that.vcycles = I8080.T433;
+        that.cpu_cycles = 10;
+        const w16 = that.sp + that.next_pc_byte();
+        that.set_d((w16 >> 8) & 0xff);
+        that.set_e(w16 & 0xff);
+      };
+
+  handler[0xCB] =       /* rstv */
+      function() {
+        if (that.vf) {
+          that.vcycles = I8080.T533;
+          that.cpu_cycles = 12;
+          that.rst(0x40);
+        } else {
+          that.vcycles = I8080.T5;
+          that.cpu_cycles = 6;
+        }
+      };
+
+  handler[0xD9] =       /* shlx */
+      function() {
+        that.vcycles = I8080.T433;
+        that.cpu_cycles = 10;
+        that.memory_write_word(that.de(), that.hl());
+      };
+
+  handler[0xED] =       /* lhlx */
+      function() {
+        that.vcycles = I8080.T433;
+        that.cpu_cycles = 10;
+        const w16 = that.memory_read_word(that.de());
+        that.set_h(w16 >> 8);
+        that.set_l(w16 & 0xff);
+      };
+
+  // jnk, jk: 0xDD, 0xFD
+  for (var opcode = 0xDD; opcode <= 0xFD; opcode += 0x20) {
+    handler[opcode] =
+        function(opcode) {
+          const direction = (opcode & 0x20) != 0;
+          const lo = that.next_pc_byte();
+          if ((that.kf != 0) == direction) {
+            that.vcycles = I8080.T433;
+            that.cpu_cycles = 10;
+            that.pc = lo | (that.next_pc_byte() << 8);
+          } else {
+            that.vcycles = I8080.T43;
+            that.cpu_cycles = 7;
+            that.pc = (that.pc + 1) & 0xffff;
+          }
+        };
+  }
+
+  // inx and dcx set K on the carry out of bit 15.
+  for (var rp = 0; rp < 4; ++rp) {
+    (function(r) {
+      handler[0x03 | (r << 4)] = function() {
+        that.vcycles = I8080.T5;
+        that.cpu_cycles = 6;
+        const w16 = (that.rp(r << 1) + 1) & 0xffff;
+        that.set_rp(r << 1, w16);
+        that.kf = w16 == 0 ? 1 : 0;
+      };
+      handler[0x0B | (r << 4)] = function() {
+        that.vcycles = I8080.T5;
+        that.cpu_cycles = 6;
+        const w16 = (that.rp(r << 1) - 1) & 0xffff;
+        that.set_rp(r << 1, w16);
+        that.kf = w16 == 0xffff ? 1 : 0;
+      };
+    })(rp);
+  }
+}
+
+// Returns the address of the highest priority interrupt to accept, or -1.
+I8085.prototype.pending_interrupt = function() {
+  if (this.trap_pending) return 0x24;
+  if (!this.iff) return -1;
+  if (this.rst75_latch && !(this.mask & 0x04)) return 0x3C;
+  if (this.rst65_level && !(this.mask & 0x02)) return 0x34;
+  if (this.rst55_level && !(this.mask & 0x01)) return 0x2C;
+  return -1;
+}
+
+// TRAP and RST 5.5-7.5 are restarts generated inside the CPU, without
+// the interrupt acknowledge.
+I8085.prototype.restart = function(addr) {
+  if (addr == 0x24) {
+    this.trap_pending = false;
+    this.trap_iff = this.iff;
+  } else if (addr == 0x3C) {
+    this.rst75_latch = 0;
+  }
+  this.iff = false;
+  this.io.interrupt(false);
+  this.halted = false;
+
+  this.vcycles = I8080.T533;
+  this.cpu_cycles = 12;
+  if (this.timing) {
+    this.begin_cycles();
+    this.machine_cycle("IDLE", this.pc, 6, 0);
+  }
+  this.push(this.pc);
+  this.pc = addr;
+  if (this.timing) this.cpu_cycles += this.wait_cycles;
+  return this.cpu_cycles;
+}
+
+I8085.prototype.next_action = function() {
+  if (this.pending_interrupt() >= 0) return "restart";
+  return I8080.prototype.next_action.call(this);
+}
+
+I8085.prototype.instruction = function() {
+  const addr = this.pending_interrupt();
+  if (addr >= 0) return this.restart(addr);
+  return I8080.prototype.instruction.call(this);
+}
+
+// RESET also masks RST 5.5-7.5 and clears SOD.
+I8085.prototype.reset = function() {
+  I8080.prototype.reset.call(this);
+  this.mask = 0x07;
+  this.rst75_latch = 0;
+  this.trap_pending = false;
+  this.trap_iff = null;
+  this.sod = 0;
+  if (this.io.sod) this.io.sod(0);
+}
+
+I8085.prototype.disasm_options = function() {
+  return { cpu: "8085", undocumented: this.undocumented };
+}
+
+I8085.prototype.getState = function() {
+  const state = I8080.prototype.getState.call(this);
+  state.i8085 = {
+    mask: this.mask,
+    rst75_latch: this.rst75_latch,
+    rst65_level: this.rst65_level,
+    rst55_level: this.rst55_level,
+    trap_pending: this.trap_pending,
+    trap_iff: this.trap_iff,
+    sid: this.sid,
+    sod: this.sod
+  };
+  return state;
+}
+
+I8085.prototype.setState = function(state) {
+  I8080.prototype.setState.call(this, state);
+  const s = state.i8085;
+  if (!s) return;
+  this.mask = s.mask;
+  this.rst75_latch = s.rst75_latch;
+  this.rst65_level = s.rst65_level;
+  this.rst55_level = s.rst55_level;
+  this.trap_pending = s.trap_pending;
+  this.trap_iff = s.trap_iff;
+  this.sid = s.sid;
+  this.sod = s.sod;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports.I8085 = I8085;
+}
@@ -0,0 +1,99 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Lockstep comparison with a reference trace for Node.js:
+//
+//   node lockstep.js [--8085] [--undocumented] [--zilog] [--sync]
+//                    [--flags xx] [--context n] program [address] reference
+//
+// Loads the program (.COM at 0100 with RET at the BDOS entry 0005, .bin
+// at 0000), starts it from its address and compares every instruction
+// with the reference, a text log (see I8080_log_parse) or a binary log
+// of the Recorder. --sync takes the registers from the first entry,
+// --flags masks the compared flag bits. Exits with 1 at a mismatch.
+
+const fs = require("fs");
+const path = require("path");
+
+// The exports of the modules are made global as in monitor.js.
+[ "./i8080.js", "./i8085.js", "./i8080_memory.js", "./i8080_disasm.js",
+  "./i8080_trace.js", "./i8080_recorder.js",
+  "./i8080_lockstep.js" ].forEach(function(name) {
+  Object.assign(global, require(name));
+});
+
+function main(argv) {
+  var options = {}, cpu_type = "8080", undocumented = false, names = [];
+  for (var i = 0; i < argv.length; ++i) {
+    if (argv[i] == "--8085") cpu_type = "8085";
+    else if (argv[i] == "--undocumented") undocumented = true;
+    else if (argv[i] == "--zilog") options.syntax = "zilog";
+    else if (argv[i] == "--sync") options.sync = true;
+    else if (argv[i] == "--flags") options.flags = parseInt(argv[++i], 16);
+    else if (argv[i] == "--context") options.context = parseInt(argv[++i], 10);
+    else names.push(argv[i]);
+  }
+  if (names.length < 2 || names.length > 3) {
+    console.log("Usage: node lockstep.js [--8085] [--undocumented] [--zilog] " +
+                "[--sync] [--flags xx] [--context n] program [address] reference");
+    return 2;
+  }
+
+  const program = names[0];
+  const data = fs.readFileSync(program);
+  const com = path.extname(program).toLowerCase() == ".com";
+  const start = names.length == 3 ? parseInt(names[1], 16) : com ? 0x100 : 0;
+  const log = fs.readFileSync(names[names.length - 1]);
+
+  var reference;
+  try {
+    reference = log.slice(0, 4).toString("latin1") == RECORDER_MAGIC ?
+      I8080_log_decode(log) : I8080_log_parse(log.toString("latin1"));
+  } catch (e) {
+    console.log(names[names.length - 1] + ": " + e);
+    return 1;
+  }
+  if (!reference.length) {
+    console.log(names[names.length - 1] + ": no trace lines");
+    return 1;
+  }
+
+  const memory = new Memory();
+  for (var i = 0; i < data.length; ++i) memory.write(start + i, data[i]);
+  if (com) memory.write(5, 0xC9);
+  const io = {
+    input: function(port) { return 0xff; },
+    output: function(port, w8) {},
+    interrupt: function(iff) {}
+  };
+  const cpu = cpu_type == "8085" ?
+    new I8085(memory, io, { undocumented: undocumented }) :
+    new I8080(memory, io);
+  cpu.jump(start);
+
+  const lockstep = new Lockstep(cpu, reference, options);
+  const r = lockstep.run();
+  process.stdout.write(lockstep.report());
+  if (r.reason == "halt") {
+    process.stdout.write("The CPU is halted, " + (reference.length - r.index) +
+                         " reference entries left\n");
+  }
+  return r.reason == "mismatch" ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,413 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// DDT-style monitor for Node.js:
+//
+//   node monitor.js [--8085] [--undocumented] [--zilog] [file [address]]
+//
+// The numbers are hexadecimal. Type ? for the list of commands. The
+// commands can also be piped to the standard input.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// The emulator files refer to each other by the global names, as in the
+// browser, so the exports of the modules are made global in the order of
+// the dependencies.
+[ "./i8080.js", "./i8085.js", "./i8080_memory.js", "./i8080_disasm.js",
+  "./i8080_trace.js", "./i8080_debugger.js" ].forEach(function(name) {
+  Object.assign(global, require(name));
+});
+
+const MONITOR_HELP = [
+  "R file[,addr]      read .COM (0100), .bin (0000) or .rk file",
+  "D[start][,end]     display memory",
+  "L[start][,end]     disassemble",
+  "S addr byte...     set memory",
+  "F start,end,byte   fill memory",
+  "X                  display registers",
+  "Xr value           set A, B (BC), D (DE), H (HL), S (SP), P (PC)",
+  "                   or flag C, Z, M, E, I (e.g. XH 1234, XZ 1)",
+  "P addr[,cond]      set a breakpoint with an optional condition",
+  "-P addr            clear the breakpoint",
+  "P                  list the breakpoints",
+  "T[n]               trace n instructions",
+  "U[n]               execute n instructions without the trace",
+  "G[addr][,bp...]    go from addr, stop at the temporary breakpoints",
+  "Q                  quit"
+].join("\n");
+
+// The options: cpu ("8080" or "8085"), undocumented, syntax, and for the
+// use as a module write(text) and exit(), process.stdout and process.exit
+// by default.
+/** @constructor */
+function Monitor(options) {
+  this.options = options;
+  this.write = options.write || function(s) { process.stdout.write(s); };
+  this.exit = options.exit || function() { process.exit(0); };
+  this.memory = new Memory();
+  this.io = {
+    input: function(port) { return 0xff; },
+    output: function(port, w8) {},
+    interrupt: function(iff) {}
+  };
+  this.cpu = options.cpu == "8085" ?
+    new I8085(this.memory, this.io, { undocumented: options.undocumented }) :
+    new I8080(this.memory, this.io);
+  this.debugger = new Debugger(this.cpu);
+
+  this.dump_addr = 0x100;
+  this.list_addr = 0x100;
+  this.running = false;
+  this.interrupted = false;
+}
+
+Monitor.prototype.print = function(s) {
+  this.write(s + "\n");
+}
+
+Monitor.prototype.hex = function(n, width) {
+  var s = n.toString(16).toUpperCase();
+  while (s.length < width) s = "0" + s;
+  return s;
+}
+
+Monitor.prototype.number = function(s) {
+  s = s.trim().replace(/h$/i, "");
+  if (!/^[0-9a-f]+$/i.test(s)) throw("Bad number: " + s);
+  return parseInt(s, 16);
+}
+
+// Reads a file into the memory. Without the address .COM files are
+// loaded at 0100, .bin at 0000, and .rk at the address from the header
+// (the optional E6 sync byte, then the big-endian start and end).
+Monitor.prototype.read_file = function(name, addr) {
+  if (!fs.existsSync(name) && fs.existsSync(path.join(__dirname, "files", name)))
+    name = path.join(__dirname, "files", name);
+  var data = fs.readFileSync(name);
+  const ext = path.extname(name).toLowerCase();
+  var start = ext == ".com" ? 0x100 : 0;
+  if (ext == ".rk") {
+    var i = data[0] == 0xE6 ? 1 : 0;
+    start = (data[i] << 8) | data[i + 1];
+    const end = (data[i + 2] << 8) | data[i + 3];
+    data = data.slice(i + 4, i + 4 + end - start + 1);
+  }
+  if (addr !== undefined) start = addr;
+  for (var i = 0; i < data.length; ++i)
+    this.memory.write(start + i, data[i]);
+  this.jump(start);
+  this.dump_addr = this.list_addr = start;
+  this.print("NEXT  PC");
+  this.print(this.hex((start + data.length) & 0xffff, 4) + "  " +
+             this.hex(start, 4));
+}
+
+// Sets pc, a halted CPU leaves the halt state as after RESET.
+Monitor.prototype.jump = function(addr) {
+  this.cpu.jump(addr);
+  this.cpu.halted = false;
+}
+
+Monitor.prototype.display = function(start, end) {
+  for (var addr = start; addr <= end; addr += 16) {
+    var line = this.hex(addr & 0xffff, 4) + " ";
+    var text = "";
+    for (var i = 0; i < 16 && addr + i <= end; ++i) {
+      const w8 = this.memory.read(addr + i);
+      line += " " + this.hex(w8, 2);
+      text += w8 >= 0x20 && w8 < 0x7f ? String.fromCharCode(w8) : ".";
+    }
+    while (line.length < 53) line += " ";
+    this.print(line + " " + text);
+  }
+  this.dump_addr = (end + 1) & 0xffff;
+}
+
+Monitor.prototype.list = function(start, end, count) {
+  var addr = start;
+  for (var n = 0; end !== undefined ? addr <= end : n < count; ++n) {
+    const code = [];
+    for (var i = 0; i < 3; ++i) code.push(this.memory.read(addr + i));
+    const options = this.cpu.disasm_options();
+    options.syntax = this.options.syntax;
+    const instr = I8080_disasm(code, options);
+    this.print(this.hex(addr & 0xffff, 4) + "  " + instr.text);
+    addr += instr.length;
+  }
+  this.list_addr = addr & 0xffff;
+}
+
+Monitor.prototype.registers = function() {
+  const lines = I8080_trace(this.cpu, this.options.syntax).split("\n");
+  this.print(lines[0]);
+  this.print(lines[1]);
+  this.print(lines[2]);
+}
+
+// The names are as in DDT: A, B (BC), D (DE), H (HL), S (SP), P (PC) and
+// the flags C (carry), Z (zero), M (minus), E (even parity) and I
+// (interdigit carry).
+Monitor.prototype.set_register = function(name, value) {
+  const cpu = this.cpu;
+  const flags = { C: "cf", Z: "zf", M: "sf", E: "pf", I: "hf" };
+  switch (name.toUpperCase()) {
+    case "A": cpu.set_a(value & 0xff); break;
+    case "B": cpu.set_rp(0, value & 0xffff); break;
+    case "D": cpu.set_rp(2, value & 0xffff); break;
+    case "H": cpu.set_rp(4, value & 0xffff); break;
+    case "S": cpu.sp = value & 0xffff; break;
+    case "P": this.jump(value); break;
+    default:
+      const flag = flags[name.toUpperCase()];
+      if (flag === undefined) throw("Bad register: " + name);
+      cpu[flag] = value ? 1 : 0;
+  }
+}
+
+Monitor.prototype.breakpoints = function() {
+  for (var addr in this.debugger.breakpoints) {
+    const b = this.debugger.breakpoints[addr];
+    this.print(this.hex(b.addr, 4) + (b.condition ? " " + b.condition : "") +
+               " (" + b.hits + " hits)");
+  }
+}
+
+Monitor.prototype.report = function(result) {
+  const cpu = this.cpu;
+  if (result.reason == "watchpoint") {
+    this.print("Watchpoint " + result.type + " " + this.hex(result.addr, 4) +
+               " at " + this.hex(result.pc, 4));
+  } else if (result.reason == "halt") {
+    this.print("HLT at " + this.hex((cpu.pc - 1) & 0xffff, 4));
+  } else if (result.reason == "interrupted") {
+    this.print("Interrupted");
+  }
+  this.print("*" + this.hex(cpu.pc, 4));
+}
+
+// Runs in slices to keep Ctrl-C working. done() is called at the end.
+Monitor.prototype.go = function(temporary, done) {
+  const that = this;
+  const dbg = this.debugger;
+  // The temporary breakpoints do not replace the permanent ones.
+  temporary = temporary.filter(function(addr) {
+    return !dbg.breakpoints[addr & 0xffff];
+  });
+  for (var i = 0; i < temporary.length; ++i)
+    dbg.set_breakpoint(temporary[i]);
+
+  this.running = true;
+  this.interrupted = false;
+  const slice = function() {
+    var result;
+    try {
+      result = dbg.run(1000000, { halt: true });
+    } catch (e) {
+      // E.g. a breakpoint condition failed, the session goes on.
+      that.print("? " + e);
+      result = { reason: "error" };
+    }
+    if (that.interrupted) result.reason = "interrupted";
+    if (result.reason == "cycles") {
+      setImmediate(slice);
+      return;
+    }
+    for (var i = 0; i < temporary.length; ++i)
+      dbg.clear_breakpoint(temporary[i]);
+    that.running = false;
+    that.report(result);
+    done();
+  };
+  slice();
+}
+
+Monitor.prototype.trace = function(count, show) {
+  for (var i = 0; i < count; ++i) {
+    if (show) this.print(I8080_trace(this.cpu, this.options.syntax));
+    const result = this.debugger.step();
+    if (result.reason == "watchpoint") {
+      this.report(result);
+      return;
+    }
+    if (this.cpu.isHalted()) break;
+  }
+  this.print("*" + this.hex(this.cpu.pc, 4));
+}
+
+// Executes one command line. Calls done() when the command is over,
+// which for G is after the run.
+Monitor.prototype.command = function(line, done) {
+  line = line.trim();
+  if (!line.length) return done();
+
+  var clear = false;
+  if (line[0] == "-") {
+    clear = true;
+    line = line.substring(1);
+  }
+  const cmd = line[0].toUpperCase();
+  const rest = line.substring(1).trim();
+  const args = rest.length ? rest.split(/\s*,\s*|\s+/) : [];
+  const that = this;
+  const arg = function(n, otherwise) {
+    return args[n] !== undefined && args[n] !== "" ? that.number(args[n]) :
+                                                     otherwise;
+  };
+
+  switch (cmd) {
+    case "R":
+      if (!args.length) throw("File name expected");
+      this.read_file(args[0], arg(1));
+      break;
+    case "D":
+      var start = arg(0, this.dump_addr);
+      this.display(start, arg(1, start + 0xBF));
+      break;
+    case "L":
+      var start = arg(0, this.list_addr);
+      this.list(start, arg(1), 12);
+      break;
+    case "S":
+      var addr = arg(0);
+      if (addr === undefined) throw("Address expected");
+      for (var i = 1; i < args.length; ++i)
+        this.memory.write(addr + i - 1, this.number(args[i]));
+      break;
+    case "F":
+      if (args.length != 3) throw("F start,end,byte");
+      for (var a = arg(0); a <= arg(1); ++a) this.memory.write(a, arg(2));
+      break;
+    case "X":
+      var m = /^([A-Za-z])\s*=?\s*([0-9A-Fa-f]+)h?$/.exec(rest);
+      if (rest.length && !m) throw("Xr value");
+      if (m) this.set_register(m[1], this.number(m[2]));
+      this.registers();
+      break;
+    case "P":
+      if (clear) {
+        this.debugger.clear_breakpoint(arg(0));
+      } else if (!args.length) {
+        this.breakpoints();
+      } else {
+        const comma = rest.indexOf(",");
+        const addr = this.number(comma < 0 ? rest : rest.substring(0, comma));
+        const condition = comma < 0 ? null : rest.substring(comma + 1).trim();
+        this.debugger.set_breakpoint(addr, condition);
+      }
+      break;
+    case "T":
+      this.trace(arg(0, 1), true);
+      break;
+    case "U":
+      this.trace(arg(0, 1), false);
+      break;
+    case "G":
+      if (args.length && args[0] !== "") this.jump(arg(0));
+      var temporary = [];
+      for (var i = 1; i < args.length; ++i) temporary.push(arg(i));
+      return this.go(temporary, done);
+    case "?":
+      this.print(MONITOR_HELP);
+      break;
+    case "Q":
+      this.exit();
+      break;
+    default:
+      throw("Unknown command: " + cmd);
+  }
+  done();
+}
+
+Monitor.prototype.start = function(input) {
+  const that = this;
+  const interactive = input.isTTY;
+  const rl = readline.createInterface({
+    input: input, output: process.stdout, terminal: interactive
+  });
+  const lines = [];
+  var busy = false;
+
+  const next = function() {
+    while (!busy && lines.length) {
+      const line = lines.shift();
+      if (!interactive) that.print("-" + line);
+      busy = true;
+      try {
+        that.command(line, function() {
+          busy = false;
+          if (!lines.length) prompt();
+          setImmediate(next);
+        });
+      } catch (e) {
+        that.print("? " + e);
+        busy = false;
+        prompt();
+      }
+    }
+  };
+  // The piped commands are echoed after the prompt instead.
+  const prompt = function() {
+    if (interactive) rl.prompt();
+  };
+
+  rl.setPrompt("-");
+  rl.on("line", function(line) {
+    lines.push(line);
+    next();
+  });
+  rl.on("SIGINT", function() {
+    if (that.running) that.interrupted = true;
+    else that.exit();
+  });
+  rl.on("close", function() {
+    const wait = function() {
+      if (busy || lines.length) setImmediate(wait);
+      else that.exit();
+    };
+    wait();
+  });
+  prompt();
+}
+
+function monitor_main(argv) {
+  const options = { cpu: "8080", undocumented: false, syntax: "intel" };
+  const files = [];
+  for (var i = 0; i < argv.length; ++i) {
+    if (argv[i] == "--8085") options.cpu = "8085";
+    else if (argv[i] == "--undocumented") options.undocumented = true;
+    else if (argv[i] == "--zilog") options.syntax = "zilog";
+    else files.push(argv[i]);
+  }
+
+  const monitor = new Monitor(options);
+  monitor.print("Intel " + options.cpu + " monitor, ? for help");
+  if (files.length) {
+    try {
+      monitor.read_file(files[0], files[1] ? monitor.number(files[1]) : undefined);
+    } catch (e) {
+      monitor.print("? " + e);
+    }
+  }
+  monitor.start(process.stdin);
+}
+
+if (require.main === module) monitor_main(process.argv.slice(2));
+
+module.exports.Monitor = Monitor;
@@ -0,0 +1,110 @@
+// Part of Intel 8080/KR580VM80A in JavaScript
+//
+// Copyright (C) 2012 Alexander Demin <alexander@demin.ws>
+//
+// This program is free software; you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation; either version 2, or (at your option)
+// any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program; if not, write to the Free Software
+// Foundation, Inc., 59 Temple Place - Suite 330, Boston, MA 02111-1307, USA.
+
+// Runs the monitor with a script of commands and checks the output:
+//
+//   node monitor_test.js
+
+const stream = require("stream");
+const Monitor = require("./monitor.js").Monitor;
+
+const script = [
+  "S200 3E 05 3D C2 02 02 76",    // mvi a,5; dcr a; jnz 0202; hlt
+  "L200,206",
+  "XP200",
+  "T2",
+  "U",
+  "P203,a == 2",
+  "P",
+  "G",
+  "X",
+  "-P203",
+  "G",
+  "P203,nosuch == 1",             // fails in the run
+  "G200",
+  "-P203",
+  "G200,206",
+  "XA 7F",
+  "X",
+  "F300,30F,AA",
+  "D300,30F",
+  "Z",
+  "Q"
+];
+
+// The lines expected in the output, in this order.
+const expected = [
+  "-L200,206",
+  "0200  MVI A, 05",
+  "0202  DCR A",
+  "0203  JNZ 0202",
+  "0206  HLT",
+  "-T2",
+  "0200 MVI A, 05",
+  "0202 DCR A",
+  "*0203",
+  "-U",
+  "*0202",
+  "-P",
+  "0203 a == 2 (0 hits)",
+  "-G",
+  "*0203",
+  "PC=0203 [C2] A=02 F=12 --0H0-1-",
+  "-G",
+  "HLT at 0206",
+  "*0207",
+  "-G200",
+  "? ReferenceError: nosuch is not defined",
+  "*0203",
+  "-G200,206",
+  "*0206",
+  "PC=0206 [76] A=7F F=56 -Z0H0P1-",
+  "0300  AA AA AA AA AA AA AA AA AA AA AA AA AA AA AA AA ................",
+  "-Z",
+  "? Unknown command: Z",
+  "-Q"
+];
+
+function monitor_test() {
+  var output = "";
+  var finished = false;
+  const monitor = new Monitor({
+    cpu: "8080", undocumented: false, syntax: "intel",
+    write: function(s) { output += s; },
+    exit: function() {
+      if (finished) return;
+      finished = true;
+      const lines = output.split("\n");
+      var n = 0;
+      for (var i = 0; i < lines.length && n < expected.length; ++i)
+        if (lines[i].trim() == expected[n]) n += 1;
+      const success = n == expected.length;
+      if (!success) {
+        console.log(output);
+        console.log("Expected: " + expected[n]);
+      }
+      console.log(success ? "Monitor test OK" : "Monitor test FAILED");
+      process.exitCode = success ? 0 : 1;
+    }
+  });
+  const input = new stream.PassThrough();
+  monitor.start(input);
+  input.end(script.join("\n") + "\n");
+}
+
+monitor_test();